@@ -1,4 +1,5 @@
 var checkout = {};
+var SESSION_STORAGE_KEY = 'concierge-session-token';
 
 $(document).ready(function() {
   var $messages = $('.messages-content'),
@@ -28,13 +29,29 @@ $(document).ready(function() {
   function callChatbotApi(message) {
     // params, body, additionalParams
     return sdk.chatbotPost({}, {
+      sessionToken: localStorage.getItem(SESSION_STORAGE_KEY) || undefined,
       messages: [{
         type: 'unstructured',
         unstructured: {
           text: message
         }
       }]
-    }, {});
+    }, {}).then(rememberSession);
+  }
+
+  function resetChatbotSession() {
+    return sdk.chatbotPost({}, {
+      sessionToken: localStorage.getItem(SESSION_STORAGE_KEY) || undefined,
+      resetSession: true
+    }, {}).then(rememberSession);
+  }
+
+  // LF0 returns a refreshed token with every reply; keep the latest one
+  function rememberSession(response) {
+    if (response.data && response.data.sessionToken) {
+      localStorage.setItem(SESSION_STORAGE_KEY, response.data.sessionToken);
+    }
+    return response;
   }
 
   function insertMessage() {
@@ -42,9 +59,13 @@ $(document).ready(function() {
     if ($.trim(msg) == '') {
       return false;
     }
-    $('<div class="message message-personal">' + msg + '</div>').appendTo($('.mCSB_container')).addClass('new');
-    setDate();
     $('.message-input').val(null);
+    sendMessage(msg);
+  }
+
+  function sendMessage(msg) {
+    $('<div class="message message-personal">' + escapeHtml(msg) + '</div>').appendTo($('.mCSB_container')).addClass('new');
+    setDate();
     updateScrollbar();
 
     callChatbotApi(msg)
@@ -73,6 +94,12 @@ $(document).ready(function() {
                   message.structured.payload.buttonLabel + '</a>';
                 insertResponseMessage(html);
               }, 1100);
+            } else if (message.type === 'structured' && message.structured.type === 'restaurant') {
+              insertStructuredMessage(message.structured, renderRestaurantCards);
+            } else if (message.type === 'structured' && message.structured.type === 'quickReplies') {
+              insertStructuredMessage(message.structured, renderQuickReplies);
+            } else if (message.type === 'structured' && message.structured.type === 'confirmation') {
+              insertStructuredMessage(message.structured, renderConfirmation);
             } else {
               console.log('not implemented');
             }
@@ -87,10 +114,71 @@ $(document).ready(function() {
       });
   }
 
+  function insertStructuredMessage(structured, render) {
+    var html = structured.text ? '<p>' + escapeHtml(structured.text) + '</p>' : '';
+    insertResponseMessage(html + render(structured.payload || {}));
+  }
+
+  function renderRestaurantCards(payload) {
+    return (payload.restaurants || []).map(function(r) {
+      var meta = [];
+      if (r.rating != null) meta.push(escapeHtml(r.rating) + '/5');
+      if (r.reviewCount != null) meta.push(escapeHtml(r.reviewCount) + ' reviews');
+      if (r.price) meta.push(escapeHtml(r.price));
+      if (r.distance) meta.push(escapeHtml(r.distance) + ' away');
+      return '<div class="restaurant-card">' +
+        '<b>' + escapeHtml(r.name) + '</b><br>' +
+        escapeHtml(r.address) + '<br>' +
+        (meta.length ? '<span class="restaurant-meta">' + meta.join(' &middot; ') + '</span><br>' : '') +
+        '<a href="' + escapeHtml(r.mapUrl) + '" target="_blank" rel="noopener">View map</a>' +
+        '</div>';
+    }).join('');
+  }
+
+  function renderQuickReplies(payload) {
+    var image = payload.imageUrl ? '<img src="' + escapeHtml(payload.imageUrl) + '" class="thumbnail" width="200" />' : '';
+    return image + '<div class="quick-replies">' + (payload.buttons || []).map(function(b) {
+      return '<button type="button" class="quick-reply" data-value="' + escapeHtml(b.value) + '">' +
+        escapeHtml(b.text) + '</button>';
+    }).join('') + '</div>';
+  }
+
+  function renderConfirmation(payload) {
+    return '<div class="confirmation">' +
+      (payload.title ? '<b>' + escapeHtml(payload.title) + '</b>' : '') +
+      '<dl>' + (payload.fields || []).map(function(f) {
+        return '<dt>' + escapeHtml(f.label) + '</dt><dd>' + escapeHtml(f.value) + '</dd>';
+      }).join('') + '</dl></div>';
+  }
+
+  function escapeHtml(value) {
+    return $('<div>').text(value == null ? '' : String(value)).html().replace(/"/g, '&quot;');
+  }
+
+  $(document).on('click', '.quick-reply', function() {
+    sendMessage($(this).data('value').toString());
+  });
+
   $('.message-submit').click(function() {
     insertMessage();
   });
 
+  $('.session-reset').click(function(e) {
+    e.preventDefault();
+    resetChatbotSession()
+      .then((response) => {
+        var messages = response.data.messages || [];
+        if (messages.length > 0 && messages[0].type === 'unstructured') {
+          insertResponseMessage(messages[0].unstructured.text);
+        }
+      })
+      .catch((error) => {
+        console.log('an error occurred', error);
+        localStorage.removeItem(SESSION_STORAGE_KEY);
+        insertResponseMessage('Okay, let\'s start over. What can I help you with?');
+      });
+  });
+
   $(window).on('keydown', function(e) {
     if (e.which == 13) {
       insertMessage();
@@ -98,7 +186,17 @@ $(document).ready(function() {
     }
   })
 
+  // Bot bubbles are shown one after another, in the order LF0 returned them
+  var responseQueue = $.Deferred().resolve().promise();
+
   function insertResponseMessage(content) {
+    responseQueue = responseQueue.then(function() {
+      return showResponseMessage(content);
+    });
+  }
+
+  function showResponseMessage(content) {
+    var shown = $.Deferred();
     $('<div class="message loading new"><figure class="avatar"><img src="https://media.tenor.com/images/4c347ea7198af12fd0a66790515f958f/tenor.gif" /></figure><span></span></div>').appendTo($('.mCSB_container'));
     updateScrollbar();
 
@@ -108,7 +206,10 @@ $(document).ready(function() {
       setDate();
       updateScrollbar();
       i++;
+      shown.resolve();
     }, 500);
+
+    return shown.promise();
   }
 
 });
@@ -5,19 +5,49 @@
  * It extracts the user's message, sends it to Amazon Lex V2,
  * and returns Lex's response in the BotResponse format.
  * 
+ * Sessions:
+ *   Each browser gets its own Lex session. On the first call LF0 mints a
+ *   signed session token and returns it as `sessionToken` in the
+ *   BotResponse; the client sends it back in every BotRequest. Tokens
+ *   expire after SESSION_TTL_MINUTES of inactivity (each reply carries a
+ *   refreshed token), and `resetSession: true` starts a brand-new session.
+ *   The token also carries a long-lived visitor ID; LF1 receives it (or the
+ *   Cognito user ID, when signed in) as the `UserId` request attribute.
+ * 
+ * Messages:
+ *   Every Lex message is returned as its own BotResponse message, in order.
+ *   Lex CustomPayload messages (JSON produced by LF1) are returned as
+ *   `structured` BotResponse messages — restaurant cards, quick-reply
+ *   buttons and confirmation summaries — instead of plain text.
+ * 
+ * Offline mode:
+ *   When BOT_ID / BOT_ALIAS_ID are not set, messages go to a rule-based
+ *   recognizer (offline-nlu.mjs) that calls LF1's handler directly, so the
+ *   conversation works locally without a Lex bot.
+ * 
  * Environment Variables:
- *   BOT_ID       - Your Lex V2 Bot ID
- *   BOT_ALIAS_ID - Your Lex V2 Bot Alias ID  
- *   REGION       - AWS region (default: us-east-1)
+ *   BOT_ID              - Your Lex V2 Bot ID
+ *   BOT_ALIAS_ID        - Your Lex V2 Bot Alias ID  
+ *   SESSION_SECRET      - Secret used to sign session tokens (required)
+ *   SESSION_TTL_MINUTES - Idle time before a session expires (default: 30)
+ *   REGION              - AWS region (default: us-east-1)
  */
 
-import { LexRuntimeV2Client, RecognizeTextCommand } from "@aws-sdk/client-lex-runtime-v2";
+import { LexRuntimeV2Client, RecognizeTextCommand, DeleteSessionCommand } from "@aws-sdk/client-lex-runtime-v2";
+import { createHmac, randomUUID, timingSafeEqual } from "crypto";
+import { recognizeText as recognizeOffline, resetSession as resetOfflineSession } from "./offline-nlu.mjs";
 
 // Initialize the Lex V2 client
 const lexClient = new LexRuntimeV2Client({
   region: process.env.REGION || "us-east-1",
 });
 
+const SESSION_TTL_MS = (parseInt(process.env.SESSION_TTL_MINUTES, 10) || 30) * 60 * 1000;
+
+// Every container must sign with the same secret, or tokens minted by one are
+// rejected by the next, so there's no fallback. The local-dev runner passes a fixed one.
+const SESSION_SECRET = process.env.SESSION_SECRET;
+
 export const handler = async (event) => {
   console.log("LF0 received event:", JSON.stringify(event));
 
@@ -29,124 +59,312 @@ export const handler = async (event) => {
     "Content-Type": "application/json",
   };
 
+  let session = null;
+
+  // Checked here rather than at load, so the chat UI gets a reply with CORS headers
+  if (!SESSION_SECRET) {
+    console.error("FATAL: SESSION_SECRET env var is not set!");
+    return buildResponse(500, headers, session, [
+      textMessage("I'm sorry, the chat service isn't configured yet. Please try again later."),
+    ]);
+  }
+
   try {
     // Parse the incoming request body
     let body;
     if (typeof event.body === "string") {
-      body = JSON.parse(event.body);
+      // A "null" body is valid JSON; treat it like an empty request
+      body = JSON.parse(event.body) || {};
     } else {
       body = event.body || event;
     }
 
+    // --- Resolve the caller's session (mint a new one if missing/expired) ---
+    const existing = verifySessionToken(body.sessionToken);
+    const botId = process.env.BOT_ID;
+    const botAliasId = process.env.BOT_ALIAS_ID;
+
+    if (body.resetSession && existing && !existing.expired) {
+      if (botId && botAliasId) {
+        await endLexSession(botId, botAliasId, existing.sessionId);
+      } else {
+        resetOfflineSession(existing.sessionId);
+      }
+    }
+    const visitorId = existing?.visitorId || randomUUID();
+    session = body.resetSession || !existing || existing.expired
+      ? issueSession(randomUUID(), visitorId)
+      : issueSession(existing.sessionId, visitorId);
+    const userId = resolveUserId(event, session);
+
     // Extract user message text
     const messages = body.messages || [];
     if (messages.length === 0 || !messages[0].unstructured) {
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({
-          messages: [
-            {
-              type: "unstructured",
-              unstructured: {
-                id: "1",
-                text: "I didn't receive a message. Could you try again?",
-                timestamp: new Date().toISOString(),
-              },
-            },
-          ],
-        }),
-      };
+      if (body.resetSession) {
+        return buildResponse(200, headers, session, [
+          textMessage("Okay, let's start over. What can I help you with?"),
+        ]);
+      }
+      return buildResponse(400, headers, session, [
+        textMessage("I didn't receive a message. Could you try again?"),
+      ]);
     }
 
     const userMessage = messages[0].unstructured.text;
     console.log("User message:", userMessage);
 
-    // --- Check environment variables ---
-    const botId = process.env.BOT_ID;
-    const botAliasId = process.env.BOT_ALIAS_ID;
-
+    // --- Send message to Lex V2 (or the offline recognizer if Lex isn't configured) ---
+    let lexResponse;
     if (!botId || !botAliasId) {
-      // Boilerplate fallback if Lex is not configured yet
-      console.log("Lex not configured, returning boilerplate response");
-      return {
-        statusCode: 200,
-        headers,
-        body: JSON.stringify({
-          messages: [
-            {
-              type: "unstructured",
-              unstructured: {
-                id: "1",
-                text: "I'm still under development. Please come back later.",
-                timestamp: new Date().toISOString(),
-              },
-            },
-          ],
-        }),
-      };
-    }
-
-    // --- Send message to Lex V2 ---
-    // Use a session ID based on some identifier. 
-    // For simplicity, we use a static session or extract from headers.
-    // In production, you'd use a user-specific session ID (e.g., from Cognito).
-    const sessionId = event.requestContext?.identity?.sourceIp || "default-user";
-
-    const lexCommand = new RecognizeTextCommand({
-      botId: botId,
-      botAliasId: botAliasId,
-      localeId: "en_US",
-      sessionId: sessionId,
-      text: userMessage,
-    });
+      console.log("Lex not configured, using offline NLU");
+      lexResponse = await recognizeOffline(session.sessionId, userMessage, { UserId: userId });
+    } else {
+      const lexCommand = new RecognizeTextCommand({
+        botId: botId,
+        botAliasId: botAliasId,
+        localeId: "en_US",
+        sessionId: session.sessionId,
+        text: userMessage,
+        requestAttributes: { UserId: userId },
+      });
 
-    const lexResponse = await lexClient.send(lexCommand);
+      lexResponse = await lexClient.send(lexCommand);
+    }
     console.log("Lex response:", JSON.stringify(lexResponse));
 
-    // Extract Lex's response messages
+    // Return every Lex message as its own BotResponse message, in Lex's order
     const lexMessages = lexResponse.messages || [];
-    let responseText = "Sorry, I didn't understand that. Could you try again?";
-
-    if (lexMessages.length > 0) {
-      // Combine all Lex messages into one response
-      responseText = lexMessages.map((m) => m.content).join(" ");
+    const botMessages = lexMessages.map(toBotMessage).filter(Boolean);
+    if (botMessages.length === 0) {
+      botMessages.push(textMessage("Sorry, I didn't understand that. Could you try again?"));
     }
 
-    // Return the BotResponse
-    return {
-      statusCode: 200,
-      headers,
-      body: JSON.stringify({
-        messages: [
-          {
-            type: "unstructured",
-            unstructured: {
-              id: "1",
-              text: responseText,
-              timestamp: new Date().toISOString(),
-            },
-          },
-        ],
-      }),
-    };
+    // Return the BotResponse (message ids derive from the Lex request ID)
+    return buildResponse(200, headers, session, botMessages, lexResponse.$metadata?.requestId);
   } catch (error) {
     console.error("Error in LF0:", error);
-    return {
-      statusCode: 500,
-      headers,
-      body: JSON.stringify({
-        messages: [
-          {
-            type: "unstructured",
-            unstructured: {
-              id: "1",
-              text: "Oops, something went wrong. Please try again.",
-              timestamp: new Date().toISOString(),
-            },
-          },
-        ],
-      }),
-    };
+    return buildResponse(500, headers, session, [
+      textMessage("Oops, something went wrong. Please try again."),
+    ]);
   }
 };
+
+// ============================================================
+// SESSIONS
+// ============================================================
+
+/**
+ * Create a signed token for a session, valid for SESSION_TTL_MS from now.
+ * Token format: <sessionId>.<visitorId>.<expiresAtMs>.<signature>
+ * The visitor ID outlives individual sessions so returning users can be recognized.
+ */
+function issueSession(sessionId, visitorId) {
+  const expiresAt = Date.now() + SESSION_TTL_MS;
+  const payload = `${sessionId}.${visitorId}.${expiresAt}`;
+  return { sessionId, visitorId, token: `${payload}.${sign(payload)}` };
+}
+
+/**
+ * Check a client-supplied session token.
+ * Returns { sessionId, visitorId, expired } if it is authentic, otherwise null.
+ */
+function verifySessionToken(token) {
+  if (typeof token !== "string") return null;
+
+  const parts = token.split(".");
+  if (parts.length !== 4) return null;
+  const [sessionId, visitorId, expiresAt, signature] = parts;
+
+  const expected = Buffer.from(sign(`${sessionId}.${visitorId}.${expiresAt}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    console.log("Rejected session token with bad signature");
+    return null;
+  }
+  const expired = Number(expiresAt) < Date.now();
+  if (expired) {
+    console.log("Session expired:", sessionId);
+  }
+  return { sessionId, visitorId, expired };
+}
+
+/**
+ * Identity passed to LF1 (as the UserId request attribute) for per-user state.
+ * Signed-in users (Cognito authorizer) are keyed by their user pool `sub`,
+ * everyone else by the anonymous visitor ID in their session token.
+ */
+function resolveUserId(event, session) {
+  const sub = event.requestContext?.authorizer?.claims?.sub;
+  return sub ? `user:${sub}` : `visitor:${session.visitorId}`;
+}
+
+function sign(payload) {
+  return createHmac("sha256", SESSION_SECRET).update(payload).digest("base64url");
+}
+
+/**
+ * Drop Lex's conversation state for a session (used on explicit reset).
+ * Non-fatal — Lex also expires idle sessions on its own.
+ */
+async function endLexSession(botId, botAliasId, sessionId) {
+  try {
+    await lexClient.send(new DeleteSessionCommand({
+      botId,
+      botAliasId,
+      localeId: "en_US",
+      sessionId,
+    }));
+    console.log("Lex session reset:", sessionId);
+  } catch (err) {
+    console.warn("Could not delete Lex session:", err.message);
+  }
+}
+
+// ============================================================
+// LEX → BOTRESPONSE MESSAGES
+// ============================================================
+
+/**
+ * Convert one Lex V2 message into a BotResponse message.
+ * Returns null if the message has nothing we can display.
+ */
+function toBotMessage(lexMessage) {
+  switch (lexMessage.contentType) {
+    case "PlainText":
+      return lexMessage.content ? textMessage(lexMessage.content) : null;
+    case "SSML":
+      // The chat UI has no speech output — show the text without markup
+      return lexMessage.content ? textMessage(lexMessage.content.replace(/<[^>]+>/g, "").trim()) : null;
+    case "ImageResponseCard":
+      return imageCardMessage(lexMessage.imageResponseCard);
+    case "CustomPayload":
+      return parseCustomPayload(lexMessage.content);
+    default:
+      console.warn("Unsupported Lex content type:", lexMessage.contentType);
+      return null;
+  }
+}
+
+/** Lex response cards become quick-reply messages (title/subtitle as text, buttons as replies). */
+function imageCardMessage(card) {
+  if (!card) return null;
+  const text = [card.title, card.subtitle].filter(Boolean).join(" — ");
+  return structuredMessage("quickReplies", text, {
+    imageUrl: card.imageUrl,
+    buttons: (card.buttons || []).map((b) => ({
+      text: String(b.text),
+      value: String(b.value ?? b.text),
+    })),
+  });
+}
+
+
+/**
+ * Turn a Lex CustomPayload (JSON emitted by LF1) into a structured Message.
+ * Supported types:
+ *   - restaurant   → { restaurants: [{ name, address, rating, reviewCount, price?, distance?, mapUrl }] }
+ *   - quickReplies → { imageUrl?, buttons: [{ text, value }] }
+ *   - confirmation → { title, fields: [{ label, value }] }
+ * Returns null for anything we can't render, so a bad payload never breaks the reply.
+ */
+function parseCustomPayload(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (err) {
+    console.warn("Ignoring non-JSON custom payload:", content);
+    return null;
+  }
+  if (!data || typeof data !== "object") {
+    console.warn("Ignoring custom payload that isn't an object:", content);
+    return null;
+  }
+
+  const payload = data.payload || {};
+  switch (data.type) {
+    case "restaurant":
+      return structuredMessage("restaurant", data.text, {
+        restaurants: (payload.restaurants || []).map(toRestaurantCard),
+      });
+    case "quickReplies":
+      return structuredMessage("quickReplies", data.text, {
+        imageUrl: payload.imageUrl,
+        buttons: (payload.buttons || []).map((b) => ({
+          text: String(b.text),
+          value: String(b.value ?? b.text),
+        })),
+      });
+    case "confirmation":
+      return structuredMessage("confirmation", data.text, {
+        title: payload.title || "",
+        fields: (payload.fields || []).map((f) => ({
+          label: String(f.label),
+          value: String(f.value),
+        })),
+      });
+    default:
+      console.warn("Unknown custom payload type:", data.type);
+      return null;
+  }
+}
+
+/** Normalize a restaurant record into the card shape the chat UI renders. */
+function toRestaurantCard(r) {
+  const name = r.name || "Unknown Restaurant";
+  const address = r.address || "";
+  return {
+    name,
+    address,
+    rating: r.rating != null ? Number(r.rating) : null,
+    reviewCount: r.reviewCount != null ? Number(r.reviewCount) : null,
+    ...(r.price && { price: String(r.price) }),
+    ...(r.distance && { distance: String(r.distance) }),
+    mapUrl: r.mapUrl ||
+      `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(`${name} ${address}`.trim())}`,
+  };
+}
+
+// ============================================================
+// RESPONSE BUILDERS
+// ============================================================
+
+function textMessage(text) {
+  return {
+    type: "unstructured",
+    unstructured: {
+      text,
+      timestamp: new Date().toISOString(),
+    },
+  };
+}
+
+function structuredMessage(type, text, payload) {
+  return {
+    type: "structured",
+    structured: {
+      type,
+      text: text || "",
+      payload,
+      timestamp: new Date().toISOString(),
+    },
+  };
+}
+
+/**
+ * Wrap BotResponse messages in the API Gateway proxy format.
+ * Each message gets the id "<replyId>-<position>", so ids are unique per
+ * reply and the UI can rely on them for ordering and de-duplication.
+ */
+function buildResponse(statusCode, headers, session, messages, replyId = randomUUID()) {
+  messages.forEach((m, i) => {
+    m[m.type].id = `${replyId}-${i + 1}`;
+  });
+  return {
+    statusCode,
+    headers,
+    body: JSON.stringify({
+      sessionToken: session?.token,
+      messages,
+    }),
+  };
+}
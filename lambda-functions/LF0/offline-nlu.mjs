@@ -0,0 +1,395 @@
+/**
+ * Offline NLU - rule-based stand-in for Amazon Lex V2
+ *
+ * Used by LF0 when BOT_ID / BOT_ALIAS_ID are not set. Recognizes the same
+ * intents and slots as the Lex bot, then drives LF1's handler with
+ * Lex V2-shaped code hook events, so the whole conversation can be run and
+ * tested locally without a Lex bot.
+ *
+ * Intents:  GreetingIntent, ThankYouIntent, DiningSuggestionsIntent,
+ *           EmailSuggestionsIntent, CheckStatusIntent, CancelRequestIntent,
+ *           ModifyRequestIntent (anything else → FallbackIntent)
+ * Slots:    Location (a borough or a neighborhood from the gazetteer), Cuisine,
+ *           NumberOfPeople, DiningDate, DiningTime, Email,
+ *           DietaryRestrictions, Budget, Near (optional)
+ *
+ * Dialog state lives in memory per session ID, like Lex's own session store.
+ */
+
+// Slots elicited for DiningSuggestionsIntent, in the order the Lex bot asks for them
+const DINING_SLOTS = [
+  { name: "Location",       prompt: "Great. I can help you with that. What city or city area are you looking to dine in?" },
+  { name: "Cuisine",        prompt: "Got it. What cuisine would you like to try?" },
+  { name: "NumberOfPeople", prompt: "Ok, how many people are in your party?" },
+  { name: "DiningDate",     prompt: "What date would you like to dine?" },
+  { name: "DiningTime",     prompt: "A day is set. What time?" },
+  { name: "Email",          prompt: "Great. Lastly, I need your email address so I can send you my findings." },
+  // Optional: only filled when the user mentions them ("cheap vegan thai food")
+  { name: "DietaryRestrictions", optional: true },
+  { name: "Budget",              optional: true },
+  { name: "Near",                optional: true },
+];
+
+const DIETARY_WORDS = /\b(vegetarian|veggie|vegan|plant[- ]based|halal|kosher|gluten[- ]free|celiac)\b/g;
+// "near Union Square", "close to 10003" - up to the next part of the request
+const NEAR_PLACE = /\b(?:near|close to|walking distance (?:of|from))\s+(.+?)(?=\s+(?:for|on|at|tomorrow|tonight|today|this|next|with|in)\b|[,.!?]|$)/;
+const LOCATION_WORDS = ["manhattan", "new york city", "new york", "nyc", "brooklyn", "queens", "the bronx", "bronx", "staten island"];
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+  seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20,
+};
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const MONTHS = ["january", "february", "march", "april", "may", "june", "july",
+  "august", "september", "october", "november", "december"];
+
+// Same idle timeout as LF0's session tokens
+const SESSION_TTL_MS = (parseInt(process.env.SESSION_TTL_MINUTES, 10) || 30) * 60 * 1000;
+// sessionId -> { sessionId, intent, slotToElicit, awaitingConfirmation, sessionAttributes, updatedAt },
+// least recently used first
+const sessions = new Map();
+
+let codeHook = null;
+let findCuisineInText = null;      // from shared/cuisines.mjs, see loadCatalogs()
+let findNeighborhoodInText = null; // from shared/neighborhoods.mjs
+let findBudgetInText = null;       // from shared/budget.mjs
+
+// ============================================================
+// PUBLIC API
+// ============================================================
+
+/**
+ * Run one user turn through the offline recognizer and LF1.
+ * `requestAttributes` are passed through to LF1 like Lex does.
+ * Returns { messages } in the Lex V2 RecognizeText format.
+ */
+export async function recognizeText(sessionId, text, requestAttributes = {}) {
+  const state = loadSession(sessionId);
+  const utterance = (text || "").trim();
+  state.requestAttributes = requestAttributes;
+  await loadCatalogs();
+
+  // Answering a ConfirmIntent prompt: yes/no decides, anything else starts over
+  if (state.intent && state.awaitingConfirmation) {
+    state.awaitingConfirmation = false;
+    const answer = detectConfirmation(utterance);
+    if (answer) {
+      state.intent.confirmationState = answer;
+      const messages = await runDialog(state, utterance, "FulfillmentCodeHook");
+      saveSession(sessionId, state);
+      return { messages };
+    }
+  }
+
+  // Continue the active intent if we're waiting on a slot, unless the user
+  // clearly switched to something else ("hi", "thanks", ...)
+  const detected = detectIntent(utterance);
+  if (state.intent && state.slotToElicit && (!detected || detected === state.intent.name)) {
+    const value = extractSlot(state.slotToElicit, utterance) ?? utterance;
+    state.intent.slots[state.slotToElicit] = slotValue(utterance, value);
+  } else {
+    const name = detected || "FallbackIntent";
+    state.intent = { name, slots: {}, state: "InProgress" };
+    for (const slot of slotNamesFor(name)) {
+      const value = extractSlot(slot, utterance);
+      if (value != null) state.intent.slots[slot] = slotValue(utterance, value);
+    }
+  }
+  state.slotToElicit = null;
+
+  const messages = await runDialog(state, utterance);
+  saveSession(sessionId, state);
+  return { messages };
+}
+
+/** Forget a session's dialog state (explicit reset from the client). */
+export function resetSession(sessionId) {
+  sessions.delete(sessionId);
+}
+
+// ============================================================
+// DIALOG MANAGEMENT  (what Lex does between code hook calls)
+// ============================================================
+async function runDialog(state, utterance, invocationSource) {
+  const hook = await loadCodeHook();
+
+  // Only DiningSuggestionsIntent has a dialog code hook; everything else is fulfilled directly
+  const source = invocationSource ||
+    (state.intent.name === "DiningSuggestionsIntent" ? "DialogCodeHook" : "FulfillmentCodeHook");
+  let response = await hook(buildEvent(state, utterance, source));
+
+  // A Delegate means "Lex, carry on": elicit the next empty slot or fulfill
+  if (response.sessionState?.dialogAction?.type === "Delegate") {
+    applySessionState(state, response.sessionState);
+    const next = nextMissingSlot(state);
+    if (next) {
+      state.slotToElicit = next.name;
+      return [{ contentType: "PlainText", content: next.prompt }];
+    }
+    response = await hook(buildEvent(state, utterance, "FulfillmentCodeHook"));
+  }
+
+  applySessionState(state, response.sessionState);
+  const action = response.sessionState?.dialogAction;
+  if (action?.type === "ElicitSlot") {
+    state.slotToElicit = action.slotToElicit;
+  } else if (action?.type === "ConfirmIntent") {
+    state.awaitingConfirmation = true;
+  } else if (action?.type === "Close") {
+    state.intent = null;
+  }
+  return response.messages || [];
+}
+
+function nextMissingSlot(state) {
+  // With instant results on, the Email slot is optional (see LF1)
+  const optional = process.env.INSTANT_RESULTS === "true" ? ["Email"] : [];
+  return DINING_SLOTS.find((s) => !s.optional && !state.intent.slots[s.name] && !optional.includes(s.name));
+}
+
+function applySessionState(state, sessionState) {
+  if (!sessionState) return;
+  state.sessionAttributes = sessionState.sessionAttributes || state.sessionAttributes;
+  if (sessionState.intent) {
+    state.intent = {
+      name: sessionState.intent.name,
+      slots: Object.fromEntries(
+        Object.entries(sessionState.intent.slots || {}).filter(([, v]) => v)
+      ),
+      state: sessionState.intent.state,
+    };
+  }
+}
+
+/** Build a Lex V2 code hook event for LF1. */
+function buildEvent(state, utterance, invocationSource) {
+  return {
+    messageVersion: "1.0",
+    invocationSource,
+    bot: { localeId: "en_US" },
+    sessionId: state.sessionId,
+    inputMode: "Text",
+    inputTranscript: utterance,
+    sessionState: {
+      intent: {
+        name: state.intent.name,
+        slots: { ...state.intent.slots },
+        state: "InProgress",
+        confirmationState: state.intent.confirmationState || "None",
+      },
+      sessionAttributes: { ...state.sessionAttributes },
+    },
+    requestAttributes: { ...state.requestAttributes },
+  };
+}
+
+async function loadCodeHook() {
+  if (!codeHook) {
+    // Loaded lazily so deployments that use Lex don't need LF1 bundled with LF0
+    ({ handler: codeHook } = await import("../LF1/index.mjs"));
+  }
+  return codeHook;
+}
+
+async function loadCatalogs() {
+  if (!findCuisineInText) {
+    // Lazily too: the catalogs live in shared/, bundled alongside LF1
+    ({ findCuisineInText } = await import("../shared/cuisines.mjs"));
+    ({ findNeighborhoodInText } = await import("../shared/neighborhoods.mjs"));
+    ({ findBudgetInText } = await import("../shared/budget.mjs"));
+  }
+}
+
+// ============================================================
+// INTENT RECOGNITION
+// ============================================================
+function detectIntent(text) {
+  const t = text.toLowerCase();
+  if (/\b(status|did you (send|email)|have you (sent|emailed)|where are my|still waiting|(haven't|have not|didn't|did not|never) (get|got|gotten|receive|received))\b/.test(t)) {
+    return "CheckStatusIntent";
+  }
+  if (/\bcancel\b/.test(t)) {
+    return "CancelRequestIntent";
+  }
+  if (/\b(change|modify|update|reschedule|switch|make it)\b/.test(t)) {
+    return "ModifyRequestIntent";
+  }
+  if (/\b(email|send)\b.*\b(these|them|those|it|suggestions|results)\b/.test(t)) {
+    return "EmailSuggestionsIntent";
+  }
+  if (/\b(restaurants?|food|eat|eating|dine|dining|dinner|lunch|breakfast|brunch|hungry|suggestions?|reservation)\b/.test(t) ||
+      findCuisineInText(t)) {
+    return "DiningSuggestionsIntent";
+  }
+  if (/\b(thanks|thank you|thx|ty|cheers)\b/.test(t)) {
+    return "ThankYouIntent";
+  }
+  if (/^(hi|hello|hey|hiya|howdy|yo|good (morning|afternoon|evening))\b/.test(t)) {
+    return "GreetingIntent";
+  }
+  return null;
+}
+
+function detectConfirmation(text) {
+  const t = text.toLowerCase();
+  if (/^(yes|yeah|yep|sure|ok|okay|please|go ahead|do it)\b/.test(t)) return "Confirmed";
+  if (/^(no|nope|nah|not now|no thanks|don't)\b/.test(t)) return "Denied";
+  return null;
+}
+
+function slotNamesFor(intentName) {
+  if (intentName === "DiningSuggestionsIntent") return DINING_SLOTS.map((s) => s.name);
+  if (intentName === "EmailSuggestionsIntent") return ["Email"];
+  if (intentName === "ModifyRequestIntent") return ["Cuisine", "NumberOfPeople", "DiningTime"];
+  return [];
+}
+
+// ============================================================
+// SLOT EXTRACTION
+// ============================================================
+
+/** Pull a slot's interpreted value out of free text, or return null. */
+function extractSlot(slotName, text) {
+  const t = text.toLowerCase();
+  switch (slotName) {
+    case "Location":
+      return findNeighborhoodInText(t)?.name || LOCATION_WORDS.find((l) => new RegExp(`\\b${l}\\b`).test(t)) || null;
+    case "Cuisine":
+      return findCuisineInText(t) || requestedCuisine(t);
+    case "NumberOfPeople":
+      return parsePartySize(t);
+    case "DiningDate":
+      return parseDate(t);
+    case "DiningTime":
+      return parseTime(t);
+    case "DietaryRestrictions": {
+      const options = t.match(DIETARY_WORDS);
+      return options ? [...new Set(options)].join(" and ") : null;
+    }
+    case "Budget":
+      return findBudgetInText(t);
+    case "Near": {
+      const match = t.match(NEAR_PLACE);
+      return match ? match[1].trim() : null;
+    }
+    case "Email": {
+      const match = text.match(/[^\s@]+@[^\s@]+\.[^\s@]+/);
+      return match ? match[0] : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * An unrecognized cuisine in "switch to X" / "change it to X", passed on
+ * as typed so LF1 can suggest the closest match (as Lex does with expanded
+ * slot values).
+ */
+function requestedCuisine(t) {
+  const match = t.match(/\b(?:switch|change)(?: it| the cuisine)? to ([a-z][a-z' ]*?)(?: food| cuisine| instead)?[.!]?$/);
+  if (!match || /\b(noon|midnight|tonight|today|tomorrow|people|guests)\b/.test(match[1])) return null;
+  return match[1];
+}
+
+function parsePartySize(t) {
+  const digits = t.match(/(?<!\$)\b(\d{1,3})\b(?!\s*(?:am|pm|:|th|st|nd|rd|dollars|bucks))/);
+  if (digits && (/^\s*\d{1,3}\s*$/.test(t) || /people|persons|guests|party|of us|for/.test(t))) {
+    return digits[1];
+  }
+  for (const [word, n] of Object.entries(NUMBER_WORDS)) {
+    if (new RegExp(`\\b${word}\\b`).test(t)) return String(n);
+  }
+  return null;
+}
+
+function parseDate(t) {
+  const today = todayET();
+  const iso = t.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+  if (iso) return iso[0];
+  if (/\b(today|tonight)\b/.test(t)) return formatDate(today);
+  if (/\btomorrow\b/.test(t)) return formatDate(addDays(today, 1));
+
+  const weekday = WEEKDAYS.findIndex((d) => t.includes(d));
+  if (weekday !== -1) {
+    const ahead = (weekday - today.getDay() + 7) % 7;
+    return formatDate(addDays(today, ahead));
+  }
+
+  const monthDay = t.match(new RegExp(`\\b(${MONTHS.join("|")})\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b`));
+  if (monthDay) {
+    const date = new Date(today.getFullYear(), MONTHS.indexOf(monthDay[1]), Number(monthDay[2]));
+    // "March 5th" means the next March 5th, like Lex resolves it
+    if (date < today) date.setFullYear(date.getFullYear() + 1);
+    return formatDate(date);
+  }
+  return null;
+}
+
+function parseTime(t) {
+  if (/\bnoon\b/.test(t)) return "12:00";
+  if (/\bmidnight\b/.test(t)) return "00:00";
+
+  // Prefer an explicit time ("7pm", "19:30"); a bare number only counts on its own ("7")
+  const candidates = [...t.matchAll(/\b(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?(?![\d-])/g)];
+  const match = candidates.find((m) => m[2] || m[3]) ||
+    (/^\s*(at\s+)?\d{1,2}\s*$/.test(t) ? candidates[0] : null);
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  const meridiem = (match[3] || "").replace(/\./g, "");
+  if (meridiem === "pm" && hours < 12) hours += 12;
+  if (meridiem === "am" && hours === 12) hours = 0;
+  // A bare "7" at dinner time means 7 PM
+  if (!meridiem && !match[2] && hours >= 1 && hours <= 11) hours += 12;
+  if (hours > 23 || minutes > 59) return null;
+  return `${String(hours).padStart(2, "0")}:${String(minutes).padStart(2, "0")}`;
+}
+
+/** Lex V2 slot object for an interpreted value. */
+function slotValue(originalValue, interpretedValue) {
+  return {
+    value: {
+      originalValue,
+      interpretedValue: String(interpretedValue),
+      resolvedValues: [String(interpretedValue)],
+    },
+  };
+}
+
+// ============================================================
+// HELPERS
+// ============================================================
+function loadSession(sessionId) {
+  const state = sessions.get(sessionId);
+  if (state && Date.now() - state.updatedAt < SESSION_TTL_MS) return state;
+  return { sessionId, intent: null, slotToElicit: null, awaitingConfirmation: false, sessionAttributes: {}, updatedAt: Date.now() };
+}
+
+function saveSession(sessionId, state) {
+  state.updatedAt = Date.now();
+  // Re-inserting moves the session to the end, so expired ones are always at the front
+  sessions.delete(sessionId);
+  sessions.set(sessionId, state);
+  for (const [id, { updatedAt }] of sessions) {
+    if (Date.now() - updatedAt < SESSION_TTL_MS) break;
+    sessions.delete(id);
+  }
+}
+
+function todayET() {
+  const nowET = new Date(new Date().toLocaleString("en-US", { timeZone: "America/New_York" }));
+  return new Date(nowET.getFullYear(), nowET.getMonth(), nowET.getDate());
+}
+
+function addDays(date, days) {
+  const copy = new Date(date);
+  copy.setDate(copy.getDate() + days);
+  return copy;
+}
+
+function formatDate(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+}
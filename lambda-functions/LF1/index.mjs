@@ -4,19 +4,60 @@
  * Invoked by Amazon Lex V2 as a code hook for:
  *   - DialogCodeHook  → validates each slot as the user fills it
  *   - FulfillmentCodeHook → pushes the completed request to SQS
+ *
+ * Lex may run the fulfillment hook more than once for the same request, so
+ * each queued message carries a deterministic RequestId (Lex session + the
+ * request's details); LF2 emails each RequestId at most once.
  * 
  * Intents handled:
- *   - GreetingIntent          → friendly greeting
+ *   - GreetingIntent          → friendly greeting; offers returning users a
+ *                               re-send of their last search (ConfirmIntent)
  *   - ThankYouIntent          → polite goodbye
- *   - DiningSuggestionsIntent → collects 6 slots, validates, sends to SQS
+ *   - DiningSuggestionsIntent → collects 6 slots (plus optional
+ *                               DietaryRestrictions, Budget and Near),
+ *                               validates, sends to SQS
+ *   - EmailSuggestionsIntent  → emails the last instant results ("email me these")
+ *   - CheckStatusIntent       → reports what happened to the user's latest
+ *                               request ("did you send my suggestions?")
+ *   - CancelRequestIntent     → cancels the latest request LF2 hasn't sent yet
+ *                               (after a ConfirmIntent)
+ *   - ModifyRequestIntent     → changes the time, party size or cuisine of that
+ *                               request (optional slots DiningTime,
+ *                               NumberOfPeople, Cuisine)
+ * 
+ * Instant results (INSTANT_RESULTS=true):
+ *   Fulfillment runs the same OpenSearch + DynamoDB lookup as LF2 and
+ *   returns the top picks straight in the chat as restaurant cards. The
+ *   Email slot becomes optional (mark it optional in the Lex console); if
+ *   it's filled the request is also queued for LF2 to email.
+ * 
+ * Rich replies (restaurant cards, quick-reply buttons, confirmation
+ * summaries) are sent as Lex CustomPayload messages; LF0 turns them into
+ * structured messages for the chat UI.
  * 
  * Environment Variables:
- *   SQS_QUEUE_URL  - Full URL of the DiningRequestsQueue
- *   REGION         - AWS region (default: us-east-1)
+ *   SQS_QUEUE_URL       - Full URL of the DiningRequestsQueue
+ *   INSTANT_RESULTS     - "true" to return top picks in the chat response
+ *   OPENSEARCH_ENDPOINT - OpenSearch domain endpoint (instant results only)
+ *   OPENSEARCH_USERNAME - OpenSearch master username (instant results only)
+ *   OPENSEARCH_PASSWORD - OpenSearch master password (instant results only)
+ *   REGION              - AWS region (default: us-east-1)
  */
 
+import { createHash } from "crypto";
 import { SQSClient, SendMessageCommand } from "@aws-sdk/client-sqs";
-import { DynamoDBClient, GetItemCommand, PutItemCommand, ScanCommand } from "@aws-sdk/client-dynamodb";
+import { DynamoDBClient, GetItemCommand, PutItemCommand } from "@aws-sdk/client-dynamodb";
+import { searchOpenSearch, pickOpenRestaurants } from "../shared/restaurants.mjs";
+import { rankCandidates } from "../shared/ranking.mjs";
+import { normalizeBudget, budgetRange } from "../shared/budget.mjs";
+import { normalizeCuisine, topLevelCuisines, displayCuisine, cuisineAliases } from "../shared/cuisines.mjs";
+import { closestMatch } from "../shared/fuzzy.mjs";
+import { findNeighborhood, neighborhoodAliases, neighborhoodCenter, displayNeighborhood } from "../shared/neighborhoods.mjs";
+import { resolvePlace, placeAliases, displayPlace, formatDistance } from "../shared/places.mjs";
+import { historyKeyFor, getRecentlyRecommended, recordRecommendations, applyHistory } from "../shared/history.mjs";
+import {
+  recordRequestQueued, updateRequestStatus, getLatestRequests, cancelRequest, modifyRequest, MODIFIABLE_FIELDS,
+} from "../shared/dining-requests.mjs";
 
 const sqsClient = new SQSClient({ region: process.env.REGION || "us-east-1" });
 const dynamoClient = new DynamoDBClient({ region: process.env.REGION || "us-east-1" });
@@ -24,7 +65,11 @@ const dynamoClient = new DynamoDBClient({ region: process.env.REGION || "us-east
 // ============================================================
 // CONFIGURATION
 // ============================================================
-const VALID_CUISINES = ["chinese", "japanese", "italian", "mexican", "indian", "thai"];
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Instant results: show top picks in the chat instead of only emailing them
+const INSTANT_RESULTS = process.env.INSTANT_RESULTS === "true";
+const INSTANT_RESULTS_COUNT = 3;
 
 // Accept many natural ways to say "New York / Manhattan area"
 // Normalized → all stored as "manhattan" for the Yelp-scraped data
@@ -41,14 +86,66 @@ const LOCATION_ALIASES = {
   "staten island":       "staten island",
 };
 
+// Answers to a "Did you mean ...?" suggestion
+const AFFIRMATIVE = /^(yes|yeah|yep|yup|sure|correct|right|exactly|y|ok|okay)\b/i;
+const NEGATIVE = /^(no|nope|nah|n|wrong)\b/i;
+
+// Optional DietaryRestrictions slot → canonical options (same values the scrapers store)
+const DIETARY_OPTIONS = ["vegetarian", "vegan", "halal", "kosher", "gluten-free"];
+const DIETARY_ALIASES = {
+  "vegetarian":     "vegetarian",
+  "veggie":         "vegetarian",
+  "meatless":       "vegetarian",
+  "vegan":          "vegan",
+  "plant based":    "vegan",
+  "plant-based":    "vegan",
+  "halal":          "halal",
+  "kosher":         "kosher",
+  "gluten free":    "gluten-free",
+  "gluten-free":    "gluten-free",
+  "no gluten":      "gluten-free",
+  "celiac":         "gluten-free",
+  "coeliac":        "gluten-free",
+};
+const NO_DIETARY_RESTRICTIONS = ["none", "no", "nope", "nothing", "no restrictions", "n/a", "na"];
+
+// Answers to the optional Near slot that mean "search the whole area"
+const ANYWHERE = ["anywhere", "none", "no", "nope", "no preference", "doesn't matter", "anywhere is fine"];
+
+/**
+ * Normalize the DietaryRestrictions slot ("vegan and gluten free") to a list
+ * of canonical options. [] means none; null means something we don't recognize.
+ */
+function normalizeDietary(raw) {
+  if (!raw) return [];
+  const text = raw.toLowerCase().trim();
+  if (NO_DIETARY_RESTRICTIONS.includes(text)) return [];
+
+  const options = [];
+  for (const part of text.split(/\s*(?:,|&|\band\b|\/|\+)\s*/).filter(Boolean)) {
+    const option = DIETARY_ALIASES[part.replace(/\s+(options?|friendly|food|only)$/, "")];
+    if (!option) return null;
+    if (!options.includes(option)) options.push(option);
+  }
+  return options;
+}
+
 /**
- * Normalize a user-supplied location to our canonical form.
- * Returns the canonical name or null if not recognized.
+ * Normalize a user-supplied location to our canonical form (a borough;
+ * neighborhoods in the gazetteer resolve to theirs). Returns null if not recognized.
  */
 function normalizeLocation(raw) {
   if (!raw) return null;
-  const key = raw.toLowerCase().trim();
-  return LOCATION_ALIASES[key] || null;
+  const key = raw.toLowerCase().trim().replace(/\s+/g, " ").replace(/^the /, "");
+  return LOCATION_ALIASES[key] || LOCATION_ALIASES[`the ${key}`] || findNeighborhood(key)?.borough || null;
+}
+
+/** "uws" → "Upper West Side (Manhattan)", "brooklyn" → "Brooklyn". */
+function displayLocation(name) {
+  const neighborhood = findNeighborhood(name);
+  return neighborhood
+    ? `${displayNeighborhood(neighborhood.name)} (${displayNeighborhood(neighborhood.borough)})`
+    : displayNeighborhood(name);
 }
 
 // ============================================================
@@ -61,64 +158,14 @@ export const handler = async (event) => {
   const invocationSource = event.invocationSource; // DialogCodeHook | FulfillmentCodeHook
   const slots            = event.sessionState?.intent?.slots || {};
   const sessionAttrs     = event.sessionState?.sessionAttributes || {};
+  const userId           = event.requestAttributes?.UserId || null; // set by LF0
 
   console.log(`Intent: ${intentName} | Source: ${invocationSource}`);
 
   try {
     // ---- Greeting ----
     if (intentName === "GreetingIntent") {
-      // Extra Credit: Check if this is a returning user with a previous search
-      try {
-        const scanResult = await dynamoClient.send(new ScanCommand({
-          TableName: "user-state",
-        }));
-        if (scanResult.Items && scanResult.Items.length > 0) {
-          // Find the most-recent entry by LastSearchTimestamp
-          const sorted = scanResult.Items.sort((a, b) =>
-            (b.LastSearchTimestamp?.S || "").localeCompare(a.LastSearchTimestamp?.S || "")
-          );
-          const prev = sorted[0];
-          const cuisine  = prev.Cuisine?.S;
-          const location = prev.Location?.S;
-          const email    = prev.Email?.S;
-          const people   = prev.NumberOfPeople?.S || "2";
-
-          if (cuisine && location && email) {
-            // Automatically push a fresh recommendation based on previous search
-            const nowET = new Date(new Date().toLocaleString("en-US", { timeZone: "America/New_York" }));
-            const todayStr = `${nowET.getFullYear()}-${String(nowET.getMonth()+1).padStart(2,"0")}-${String(nowET.getDate()).padStart(2,"0")}`;
-
-            await sqsClient.send(new SendMessageCommand({
-              QueueUrl: process.env.SQS_QUEUE_URL,
-              MessageBody: JSON.stringify({
-                Location: location,
-                Cuisine: cuisine.toLowerCase(),
-                NumberOfPeople: people,
-                DiningDate: todayStr,
-                DiningTime: "19:00",
-                Email: email,
-              }),
-            }));
-
-            const cuisineDisplay = cuisine.charAt(0).toUpperCase() + cuisine.slice(1).toLowerCase();
-            return buildFulfillmentResponse(
-              event,
-              `Welcome back! I remember you were looking for ${cuisineDisplay} food in ${location} last time. ` +
-              `I've sent fresh suggestions to ${email}! ` +
-              `If you'd like to search for something different, just say "find me a restaurant".`
-            );
-          }
-        }
-      } catch (err) {
-        console.warn("Extra credit returning-user check failed:", err.message);
-      }
-
-      // First-time user greeting
-      return buildFulfillmentResponse(
-        event,
-        "Hi there! I can help you find restaurant suggestions. " +
-        "Just say something like \"I'm looking for Italian food\" to get started."
-      );
+      return await handleGreeting(event, userId);
     }
 
     // ---- Thank You ----
@@ -136,16 +183,35 @@ export const handler = async (event) => {
         return handleDialogValidation(event, slots, sessionAttrs);
       }
       if (invocationSource === "FulfillmentCodeHook") {
-        return await handleFulfillment(event, slots, sessionAttrs);
+        return await handleFulfillment(event, slots, sessionAttrs, userId);
       }
     }
 
+    // ---- Email the last instant results ----
+    if (intentName === "EmailSuggestionsIntent") {
+      return await handleEmailSuggestions(event, slots, sessionAttrs, userId);
+    }
+
+    // ---- What happened to my request? ----
+    if (intentName === "CheckStatusIntent") {
+      return await handleCheckStatus(event, userId);
+    }
+
+    // ---- Change or cancel a queued request ----
+    if (intentName === "CancelRequestIntent") {
+      return await handleCancelRequest(event, userId);
+    }
+    if (intentName === "ModifyRequestIntent") {
+      return await handleModifyRequest(event, slots, sessionAttrs, userId);
+    }
+
     // ---- FallbackIntent or unknown ----
     return buildFulfillmentResponse(
       event,
       "I'm not sure I understood that. I can help you find restaurant suggestions — " +
       "just say something like \"I want to eat\" or \"find me a restaurant\". " +
-      "If you already made a request, I can't modify it, but you can start a new one!"
+      "If you already made a request, you can change the time, party size or cuisine, " +
+      "or cancel it, until I've sent it."
     );
   } catch (err) {
     // Catch-all – never let the Lambda crash ungracefully
@@ -157,10 +223,87 @@ export const handler = async (event) => {
   }
 };
 
+// ============================================================
+// GREETING  (Extra Credit: recognize returning users)
+// ============================================================
+
+/**
+ * Greet the user. If we know their last search (keyed by their own UserId),
+ * offer to re-send suggestions — via Lex ConfirmIntent, so nothing is sent
+ * until they say yes.
+ */
+async function handleGreeting(event, userId) {
+  const confirmation = event.sessionState?.intent?.confirmationState;
+  const prev = await getUserState(userId);
+
+  if (prev && confirmation === "Confirmed") {
+    // Push a fresh recommendation based on the previous search
+    const nowET = new Date(new Date().toLocaleString("en-US", { timeZone: "America/New_York" }));
+    const todayStr = `${nowET.getFullYear()}-${String(nowET.getMonth()+1).padStart(2,"0")}-${String(nowET.getDate()).padStart(2,"0")}`;
+
+    const queued = await queueDiningRequest(event, {
+      Location: prev.location,
+      Cuisine: prev.cuisine.toLowerCase(),
+      NumberOfPeople: prev.numberOfPeople,
+      DiningDate: todayStr,
+      DiningTime: "19:00",
+      Email: prev.email,
+      UserId: userId,
+      ...(prev.dietary.length > 0 && { DietaryRestrictions: prev.dietary }),
+      ...(prev.budget && { Budget: prev.budget }),
+    });
+    if (!queued.ok) return queued.response;
+
+    return buildFulfillmentResponse(
+      event,
+      `Done! Fresh ${displayCuisine(prev.cuisine)} suggestions are on their way to ${maskEmail(prev.email)}. ` +
+      `If you'd like to search for something different, just say "find me a restaurant".`
+    );
+  }
+
+  if (prev && confirmation === "Denied") {
+    return buildFulfillmentResponse(
+      event,
+      "No problem! Just say something like \"I'm looking for Italian food\" whenever you're ready."
+    );
+  }
+
+  if (prev) {
+    return buildConfirmIntentResponse(
+      event,
+      `Welcome back! Last time you were looking for ${displayCuisine(prev.cuisine)} food in ${prev.location}. ` +
+      `Would you like me to send fresh suggestions to ${maskEmail(prev.email)}?`,
+      [buildCustomPayload("quickReplies", "", {
+        buttons: [{ text: "Yes, send them", value: "yes" }, { text: "No thanks", value: "no" }],
+      })]
+    );
+  }
+
+  // First-time user greeting
+  return buildFulfillmentResponse(
+    event,
+    "Hi there! I can help you find restaurant suggestions. " +
+    "Just say something like \"I'm looking for Italian food\" to get started.",
+    [buildCustomPayload("quickReplies", "", {
+      buttons: [{ text: "Find me a restaurant", value: "find me a restaurant" }],
+    })]
+  );
+}
+
+/** "jane.doe@example.com" → "j•••@example.com", so a greeting never reveals a full address. */
+function maskEmail(email) {
+  const [local, domain] = email.split("@");
+  return `${local.charAt(0)}•••@${domain}`;
+}
+
 // ============================================================
 // DIALOG VALIDATION  (called for every turn while slots are being filled)
 // ============================================================
 function handleDialogValidation(event, slots, sessionAttrs) {
+  // Answering an earlier "Did you mean ...?" (fills the slot on yes)
+  const suggestionReply = resolveSuggestion(event, slots);
+  if (suggestionReply) return suggestionReply;
+
   const location      = getSlotValue(slots, "Location");
   const cuisine       = getSlotValue(slots, "Cuisine");
   const numberOfPeople = getSlotValue(slots, "NumberOfPeople");
@@ -172,6 +315,8 @@ function handleDialogValidation(event, slots, sessionAttrs) {
   if (location) {
     const normalized = normalizeLocation(location);
     if (!normalized) {
+      const guess = closestMatch(location, [...Object.keys(LOCATION_ALIASES), ...neighborhoodAliases()]);
+      if (guess) return buildSuggestionResponse(event, "Location", guess.value, displayLocation(guess.value));
       return buildElicitSlotResponse(
         event,
         "Location",
@@ -180,23 +325,82 @@ function handleDialogValidation(event, slots, sessionAttrs) {
         `Try Manhattan, Brooklyn, Queens, or just "NYC".`
       );
     }
-    // If user said "new york" we silently resolve it to "manhattan"
-    // by updating the slot value in-place so downstream sees the canonical form
+    // "new york" or a neighborhood is resolved to its borough at fulfillment
   }
 
   // ---------- Cuisine ----------
+  // (any name or synonym in shared/cuisines.json, e.g. "sushi" → japanese)
   if (cuisine) {
-    if (!VALID_CUISINES.includes(cuisine.toLowerCase().trim())) {
+    if (!normalizeCuisine(cuisine)) {
+      const guess = closestMatch(cuisine, cuisineAliases());
+      if (guess) return buildSuggestionResponse(event, "Cuisine", guess.value, displayCuisine(guess.value));
+      const offered = topLevelCuisines();
       return buildElicitSlotResponse(
         event,
         "Cuisine",
         `Hmm, I don't have "${cuisine}" in my list yet. ` +
-        `I can help with: ${VALID_CUISINES.map(c => c.charAt(0).toUpperCase() + c.slice(1)).join(", ")}. ` +
-        `Which one sounds good?`
+        `I can help with: ${offered.map(displayCuisine).join(", ")}. ` +
+        `Which one sounds good?`,
+        [buildCustomPayload("quickReplies", "", {
+          buttons: offered.map((c) => ({ text: displayCuisine(c), value: c })),
+        })]
       );
     }
   }
 
+  // ---------- Dietary Restrictions (optional) ----------
+  const dietary = getSlotValue(slots, "DietaryRestrictions");
+  if (dietary && !normalizeDietary(dietary)) {
+    return buildElicitSlotResponse(
+      event,
+      "DietaryRestrictions",
+      `Sorry, I can't filter for "${dietary}" yet. ` +
+      `I can look for ${DIETARY_OPTIONS.join(", ")} options, or none at all. Any of those?`,
+      [buildCustomPayload("quickReplies", "", {
+        buttons: [...DIETARY_OPTIONS.map((d) => ({ text: displayCuisine(d), value: d })), { text: "None", value: "none" }],
+      })]
+    );
+  }
+
+  // ---------- Budget (optional) ----------
+  const budget = getSlotValue(slots, "Budget");
+  if (budget && normalizeBudget(budget) === null) {
+    return buildElicitSlotResponse(
+      event,
+      "Budget",
+      `Sorry, I didn't catch a budget in "${budget}". ` +
+      `Try "cheap", "mid-range", "under $30 a person", or "no budget".`,
+      [buildCustomPayload("quickReplies", "", {
+        buttons: [
+          { text: "Cheap ($)", value: "cheap" },
+          { text: "Mid-range ($$)", value: "mid-range" },
+          { text: "Upscale ($$$+)", value: "upscale" },
+          { text: "No budget", value: "no budget" },
+        ],
+      })]
+    );
+  }
+
+  // ---------- Near (optional): a landmark, ZIP code or neighborhood ----------
+  const near = getSlotValue(slots, "Near");
+  if (near && !ANYWHERE.includes(near.toLowerCase().trim())) {
+    const place = resolvePlace(near);
+    if (!place) {
+      const guess = closestMatch(near, placeAliases());
+      if (guess) return buildSuggestionResponse(event, "Near", guess.value, displayPlace(guess.value));
+      return buildElicitSlotResponse(
+        event,
+        "Near",
+        `Sorry, I don't know where "${near}" is. ` +
+        `Try a landmark like Union Square, a ZIP code like 10003, or say "anywhere".`
+      );
+    }
+    // "sushi near Union Square" doesn't need to ask for the borough too
+    if (!location) {
+      slots.Location = { value: { originalValue: near, interpretedValue: place.borough, resolvedValues: [place.borough] } };
+    }
+  }
+
   // ---------- Number of People ----------
   if (numberOfPeople) {
     const num = parseInt(numberOfPeople, 10);
@@ -295,8 +499,7 @@ function handleDialogValidation(event, slots, sessionAttrs) {
 
   // ---------- Email ----------
   if (email) {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
+    if (!EMAIL_REGEX.test(email)) {
       return buildElicitSlotResponse(
         event,
         "Email",
@@ -310,45 +513,414 @@ function handleDialogValidation(event, slots, sessionAttrs) {
   return buildDelegateResponse(event);
 }
 
+/**
+ * Ask "Did you mean Brooklyn?" for a slot value we only matched fuzzily.
+ * The guess waits in the PendingSuggestion session attribute until the
+ * user answers (see resolveSuggestion).
+ */
+function buildSuggestionResponse(event, slotName, value, display) {
+  event.sessionState.sessionAttributes = {
+    ...(event.sessionState.sessionAttributes || {}),
+    PendingSuggestion: JSON.stringify({ slot: slotName, value }),
+  };
+  return buildElicitSlotResponse(
+    event,
+    slotName,
+    `Did you mean ${display}?`,
+    [buildCustomPayload("quickReplies", "", {
+      buttons: [{ text: `Yes, ${display}`, value }, { text: "No", value: "no" }],
+    })]
+  );
+}
+
+/**
+ * Handle the answer to a pending suggestion: "yes" fills the slot with the
+ * guess, "no" asks again, anything else is validated as a fresh answer.
+ * Returns a response for "no", otherwise null (after updating `slots`).
+ */
+function resolveSuggestion(event, slots) {
+  const attrs = event.sessionState.sessionAttributes;
+  if (!attrs?.PendingSuggestion) return null;
+
+  let pending = null;
+  try {
+    pending = JSON.parse(attrs.PendingSuggestion);
+  } catch (err) {
+    console.warn("Could not parse PendingSuggestion:", err.message);
+  }
+  delete attrs.PendingSuggestion;
+
+  const answer = pending && getSlotValue(slots, pending.slot);
+  if (!answer) return null;
+  if (AFFIRMATIVE.test(answer.trim())) {
+    slots[pending.slot] = {
+      value: { originalValue: answer, interpretedValue: pending.value, resolvedValues: [pending.value] },
+    };
+    return null;
+  }
+  if (NEGATIVE.test(answer.trim())) {
+    const retry = {
+      Location: "No problem. Which borough or neighborhood, then?",
+      Cuisine: "No problem. Which cuisine would you like, then?",
+      Near: "No problem. Near which landmark or ZIP code, then? Or say \"anywhere\".",
+    };
+    return buildElicitSlotResponse(event, pending.slot, retry[pending.slot]);
+  }
+  return null;
+}
+
 // ============================================================
 // FULFILLMENT  (all slots are filled and validated)
 // ============================================================
-async function handleFulfillment(event, slots, sessionAttrs) {
+async function handleFulfillment(event, slots, sessionAttrs, userId) {
   const locationRaw   = getSlotValue(slots, "Location");
   const cuisine       = getSlotValue(slots, "Cuisine");
   const numberOfPeople = getSlotValue(slots, "NumberOfPeople");
   const diningDate    = getSlotValue(slots, "DiningDate");
   const diningTime    = getSlotValue(slots, "DiningTime");
   const email         = getSlotValue(slots, "Email");
+  const dietary       = normalizeDietary(getSlotValue(slots, "DietaryRestrictions")) || [];
+  const budget        = normalizeBudget(getSlotValue(slots, "Budget")) || "";
+  const near          = resolvePlace(getSlotValue(slots, "Near"));
 
-  // Normalize location for downstream processing
+  // Normalize location for downstream processing; a neighborhood narrows the search within its borough
   const location = normalizeLocation(locationRaw) || locationRaw;
+  const neighborhood = findNeighborhood(locationRaw)?.name;
 
   console.log("Fulfilling DiningSuggestionsIntent:", {
-    location, cuisine, numberOfPeople, diningDate, diningTime, email,
+    location, neighborhood, near: near?.name, cuisine, numberOfPeople, diningDate, diningTime, email, dietary, budget,
   });
 
   // Build the SQS message
   const sqsMessage = {
     Location: location,
-    Cuisine: cuisine.toLowerCase().trim(),
+    Cuisine: normalizeCuisine(cuisine) || cuisine.toLowerCase().trim(),
     NumberOfPeople: numberOfPeople,
     DiningDate: diningDate,
     DiningTime: diningTime,
     Email: email,
+    UserId: userId,
   };
+  if (neighborhood) sqsMessage.Neighborhood = neighborhood;
+  if (near) sqsMessage.Near = near.name;
+  if (dietary.length > 0) sqsMessage.DietaryRestrictions = dietary;
+  if (budget) sqsMessage.Budget = budget;
+  // The bot's locale ("en_US"), so LF2 emails in the language of the chat
+  if (event.bot?.localeId) sqsMessage.Locale = event.bot.localeId;
 
+  // e.g. "Vegan Thai", used in every reply below
+  const cuisineDisplay = [...dietary, sqsMessage.Cuisine].map(displayCuisine).join(" ");
+  // ---------- Instant results: look up restaurants right now ----------
+  let picks = null;
+  if (INSTANT_RESULTS) {
+    picks = await findInstantPicks(sqsMessage);
+    if (picks && picks.length > 0) {
+      // Remember the request so "email me these" can send the same picks later
+      sqsMessage.RestaurantIDs = picks.map((r) => r.businessId);
+      if (picks.some((r) => r.widened)) sqsMessage.Widened = true;
+      event.sessionState.sessionAttributes = {
+        ...sessionAttrs,
+        LastDiningRequest: JSON.stringify(sqsMessage),
+      };
+    }
+  }
+
+  // e.g. "in East Village" or "near Union Square"; "nearby in Manhattan" when
+  // the neighborhood didn't have enough and the picks came from around it
+  const areaDisplay = near
+    ? `near ${displayPlace(near.name)}`
+    : sqsMessage.Widened ? `nearby in ${displayNeighborhood(location)}` : `in ${displayNeighborhood(neighborhood || location)}`;
+
+  // Say so clearly when the borough didn't have enough matches
+  const shortfall = picks && picks.length > 0 && picks.length < INSTANT_RESULTS_COUNT
+    ? `I could only find ${picks.length} ${cuisineDisplay} restaurant${picks.length === 1 ? "" : "s"} ${areaDisplay}. `
+    : "";
+
+  if (!email) {
+    if (picks && picks.length > 0) {
+      return buildFulfillmentResponse(
+        event,
+        shortfall +
+        `Here are my top ${cuisineDisplay} picks ${areaDisplay} for ${numberOfPeople} people ` +
+        `on ${diningDate} around ${diningTime}. Want them in your inbox too? Just say "email me these".`,
+        [
+          buildCustomPayload("restaurant", "", { restaurants: picks.map(toRestaurantCard) }),
+          buildCustomPayload("quickReplies", "", {
+            buttons: [{ text: "Email me these", value: "email me these" }],
+          }),
+        ]
+      );
+    }
+    if (picks) {
+      return buildFulfillmentResponse(
+        event,
+        `Sorry, I couldn't find any ${cuisineDisplay} restaurants ${areaDisplay}. ` +
+        `Try another cuisine or borough?`
+      );
+    }
+    // Lookup failed (or instant results are off) — fall back to email delivery
+    return buildElicitSlotResponse(
+      event,
+      "Email",
+      "I can't show results in the chat right now, but I can email them to you. " +
+      "What's your email address?"
+    );
+  }
+
+  const queued = await queueDiningRequest(event, sqsMessage);
+  if (!queued.ok) return queued.response;
+
+  // --- Extra Credit: persist user preferences for next visit ---
+  await saveUserState(userId, email, location, sqsMessage.Cuisine, numberOfPeople, diningDate, diningTime, dietary, budget);
+
+  if (picks && picks.length > 0) {
+    return buildFulfillmentResponse(
+      event,
+      shortfall +
+      `Here are my top ${cuisineDisplay} picks ${areaDisplay} for ${numberOfPeople} people ` +
+      `on ${diningDate} around ${diningTime}. I've also sent them to ${email}. Enjoy!`,
+      [buildCustomPayload("restaurant", "", { restaurants: picks.map(toRestaurantCard) })]
+    );
+  }
+
+  return buildFulfillmentResponse(
+    event,
+    `You're all set! Expect my ${cuisineDisplay} restaurant suggestions ` +
+    `for ${numberOfPeople} people on ${diningDate} around ${diningTime} ` +
+    `in your inbox at ${email} shortly. Ask me "did you send my suggestions?" anytime to check on it.`,
+    [buildCustomPayload("confirmation", "", {
+      title: "Your dining request",
+      fields: [
+        { label: "Cuisine",  value: cuisineDisplay },
+        { label: "Location", value: displayLocation(neighborhood || location) },
+        { label: "People",   value: numberOfPeople },
+        { label: "Date",     value: diningDate },
+        { label: "Time",     value: diningTime },
+        ...(dietary.length > 0 ? [{ label: "Dietary", value: dietary.join(", ") }] : []),
+        ...(budget ? [{ label: "Budget", value: budget }] : []),
+        ...(near ? [{ label: "Near", value: displayPlace(near.name) }] : []),
+        { label: "Email",    value: email },
+      ],
+    })]
+  );
+}
+
+// ============================================================
+// EMAIL SUGGESTIONS  ("email me these" after instant results)
+// ============================================================
+async function handleEmailSuggestions(event, slots, sessionAttrs, userId) {
+  const email = getSlotValue(slots, "Email");
+
+  let lastRequest = null;
   try {
-    const sqsQueueUrl = process.env.SQS_QUEUE_URL;
-    if (!sqsQueueUrl) {
-      console.error("FATAL: SQS_QUEUE_URL env var is not set!");
+    lastRequest = sessionAttrs.LastDiningRequest ? JSON.parse(sessionAttrs.LastDiningRequest) : null;
+  } catch (err) {
+    console.warn("Could not parse LastDiningRequest:", err.message);
+  }
+
+  if (!lastRequest) {
+    return buildFulfillmentResponse(
+      event,
+      "I don't have any suggestions to send yet. " +
+      "Say \"find me a restaurant\" and I'll look some up for you."
+    );
+  }
+
+  if (!email || !EMAIL_REGEX.test(email)) {
+    return buildElicitSlotResponse(
+      event,
+      "Email",
+      email
+        ? "That doesn't look like a valid email. Please enter an email like yourname@example.com."
+        : "Sure! What email address should I send them to?"
+    );
+  }
+
+  const sqsMessage = { ...lastRequest, Email: email, UserId: userId };
+  const queued = await queueDiningRequest(event, sqsMessage);
+  if (!queued.ok) return queued.response;
+
+  await saveUserState(userId, email, sqsMessage.Location, sqsMessage.Cuisine, sqsMessage.NumberOfPeople,
+    sqsMessage.DiningDate, sqsMessage.DiningTime, sqsMessage.DietaryRestrictions, sqsMessage.Budget);
+
+  return buildFulfillmentResponse(
+    event,
+    `Done! I'm sending those suggestions to ${email}. They should arrive shortly.`
+  );
+}
+
+// ============================================================
+// CHECK STATUS  ("did you send my suggestions?")
+// ============================================================
+async function handleCheckStatus(event, userId) {
+  const [latest] = await getLatestRequests(userId);
+  if (!latest) {
+    return buildFulfillmentResponse(
+      event,
+      "I don't see any dining requests from you yet. " +
+      "Say \"find me a restaurant\" and I'll find some suggestions."
+    );
+  }
+
+  const what = `${displayCuisine(latest.cuisine)} suggestions for ${latest.diningDate} at ${latest.diningTime}`;
+  const to = latest.email ? maskEmail(latest.email) : "your inbox";
+
+  switch (latest.status) {
+    case "sent":
+      return buildFulfillmentResponse(
+        event,
+        `Yes! I emailed your ${what} to ${to} at ${formatTimeET(latest.updatedAt)}. ` +
+        "If it's not there, check your spam folder."
+      );
+    case "no-results":
+      return buildFulfillmentResponse(
+        event,
+        `I looked, but couldn't find any ${displayCuisine(latest.cuisine)} restaurants in ${displayLocation(latest.location)}, ` +
+        `so I emailed ${to} to let you know. Want to try another cuisine or borough?`
+      );
+    case "processing":
+      return buildFulfillmentResponse(event, `I'm putting together your ${what} right now. They'll be in ${to} in a moment.`);
+    case "failed":
       return buildFulfillmentResponse(
+        event,
+        `Sorry, I couldn't deliver your ${what}` +
+        (latest.detail === "recipient-rejected" ? ` — the email to ${to} was rejected.` : ".") +
+        " Say \"find me a restaurant\" to try again."
+      );
+    default:
+      return buildFulfillmentResponse(
+        event,
+        latest.attempts > 0
+          ? `Your ${what} hit a snag, but I'm retrying. They'll go to ${to} shortly.`
+          : `Your ${what} are in the queue and will go to ${to} shortly.`
+      );
+  }
+}
+
+// ============================================================
+// CANCEL / MODIFY  (only while the request is still queued)
+// ============================================================
+async function handleCancelRequest(event, userId) {
+  const [latest] = await getLatestRequests(userId);
+  if (!latest || latest.status !== "queued") {
+    return buildFulfillmentResponse(event, notPendingMessage(latest));
+  }
+
+  const what = `${displayCuisine(latest.cuisine)} request for ${latest.diningDate} at ${latest.diningTime}`;
+  const confirmation = event.sessionState?.intent?.confirmationState;
+
+  if (confirmation === "Denied") {
+    return buildFulfillmentResponse(event, `Okay, I'll keep your ${what}.`);
+  }
+  if (confirmation !== "Confirmed") {
+    return buildConfirmIntentResponse(
+      event,
+      `Cancel your ${what}?`,
+      [buildCustomPayload("quickReplies", "", {
+        buttons: [{ text: "Yes, cancel it", value: "yes" }, { text: "No, keep it", value: "no" }],
+      })]
+    );
+  }
+
+  if (!(await cancelRequest(latest.requestId))) {
+    return buildFulfillmentResponse(event, "Sorry, it's too late to cancel — I've already started sending it.");
+  }
+  return buildFulfillmentResponse(
+    event,
+    `Done, I've cancelled your ${what}. Say "find me a restaurant" whenever you want to start a new one.`
+  );
+}
+
+async function handleModifyRequest(event, slots, sessionAttrs, userId) {
+  const [latest] = await getLatestRequests(userId);
+  if (!latest || latest.status !== "queued") {
+    return buildFulfillmentResponse(event, notPendingMessage(latest));
+  }
+
+  // Same checks as when the request was made (past times are judged against its date);
+  // this also applies a "yes" to an earlier "Did you mean ...?"
+  const checked = { ...slots, DiningDate: { value: { interpretedValue: latest.diningDate } } };
+  const validation = handleDialogValidation(event, checked, sessionAttrs);
+  if (validation.sessionState.dialogAction.type !== "Delegate") return validation;
+
+  const changes = Object.fromEntries(
+    MODIFIABLE_FIELDS
+      .map((field) => [field, getSlotValue(checked, field)])
+      .filter(([, value]) => value)
+  );
+  if (Object.keys(changes).length === 0) {
+    return buildFulfillmentResponse(
+      event,
+      "What would you like to change? You can say things like \"make it 8pm\", " +
+      "\"make it 6 people\" or \"switch to Thai\"."
+    );
+  }
+
+  if (changes.Cuisine) changes.Cuisine = normalizeCuisine(changes.Cuisine);
+  const updated = await modifyRequest(latest.requestId, changes);
+  if (!updated) {
+    return buildFulfillmentResponse(event, "Sorry, it's too late to change it — I've already started sending it.");
+  }
+
+  return buildFulfillmentResponse(
+    event,
+    `Updated! I'll send ${displayCuisine(updated.cuisine)} suggestions for ${updated.numberOfPeople} people ` +
+    `on ${updated.diningDate} around ${updated.diningTime} to ${maskEmail(updated.email)}.`
+  );
+}
+
+/** Why a cancel / modify can't happen: no request, or it's past the queue. */
+function notPendingMessage(latest) {
+  if (!latest) {
+    return "I don't see any dining requests from you yet. Say \"find me a restaurant\" to start one.";
+  }
+  if (latest.status === "cancelled") {
+    return "Your last request is already cancelled. Say \"find me a restaurant\" to start a new one.";
+  }
+  if (latest.status === "processing") {
+    return "I'm sending your last request right now, so it can't be changed anymore.";
+  }
+  return "I've already finished your last request, so it can't be changed anymore. " +
+    "Say \"find me a restaurant\" to start a new one.";
+}
+
+/** ISO timestamp → "7:04 PM" in New York time. */
+function formatTimeET(iso) {
+  return new Date(iso).toLocaleTimeString("en-US", { timeZone: "America/New_York", hour: "numeric", minute: "2-digit" });
+}
+
+/**
+ * Push a dining request onto the SQS queue for LF2 to email.
+ * Returns { ok: true } or { ok: false, response } with a ready-to-send Lex reply.
+ */
+async function queueDiningRequest(event, request) {
+  const sqsMessage = { ...request, RequestId: diningRequestId(event, request), QueuedAt: new Date().toISOString() };
+  const sqsQueueUrl = process.env.SQS_QUEUE_URL;
+  if (!sqsQueueUrl) {
+    console.error("FATAL: SQS_QUEUE_URL env var is not set!");
+    return {
+      ok: false,
+      response: buildFulfillmentResponse(
         event,
         "I'm sorry, the restaurant suggestion service isn't configured yet. " +
         "Please try again later."
-      );
-    }
+      ),
+    };
+  }
+
+  // Only recorded once it can actually be queued, so CheckStatusIntent never reports a request stuck in "queued"
+  const recorded = await recordRequestQueued(sqsMessage);
+  if (recorded === "duplicate") {
+    console.log(`Request ${sqsMessage.RequestId} is already queued, not queuing it twice`);
+    return { ok: true };
+  }
+  if (recorded === "untracked") {
+    // A repeated fulfillment can't be told from asking again, so fail closed:
+    // without QueuedAt, LF2 sends at most one email per RequestId
+    delete sqsMessage.QueuedAt;
+  }
 
+  try {
     await sqsClient.send(
       new SendMessageCommand({
         QueueUrl: sqsQueueUrl,
@@ -356,48 +928,161 @@ async function handleFulfillment(event, slots, sessionAttrs) {
       })
     );
     console.log("SQS message sent:", JSON.stringify(sqsMessage));
-
-    // --- Extra Credit: persist user preferences for next visit ---
-    await saveUserState(email, location, cuisine, numberOfPeople, diningDate, diningTime);
-
-    const cuisineDisplay = cuisine.charAt(0).toUpperCase() + cuisine.slice(1).toLowerCase();
-    return buildFulfillmentResponse(
-      event,
-      `You're all set! Expect my ${cuisineDisplay} restaurant suggestions ` +
-      `for ${numberOfPeople} people on ${diningDate} around ${diningTime} ` +
-      `in your inbox at ${email} shortly. Have a great day!`
-    );
+    return { ok: true };
   } catch (error) {
     console.error("Fulfillment error:", error);
-    return buildFulfillmentResponse(
-      event,
-      "I'm sorry, something went wrong while processing your request. " +
-      "Please try again in a moment."
-    );
+    await updateRequestStatus(sqsMessage.RequestId, "failed", { detail: "queue-unavailable" });
+    return {
+      ok: false,
+      response: buildFulfillmentResponse(
+        event,
+        "I'm sorry, something went wrong while processing your request. " +
+        "Please try again in a moment."
+      ),
+    };
   }
 }
 
+/**
+ * Deterministic ID for a dining request: the same Lex session asking for the
+ * same thing always gets the same ID, so a repeated fulfillment call can't
+ * produce a second email. Asking again after the first one was sent or
+ * cancelled keeps the ID; the message's QueuedAt (not part of the ID) tells
+ * the two apart in LF2.
+ */
+function diningRequestId(event, request) {
+  const fields = ["Location", "Cuisine", "NumberOfPeople", "DiningDate", "DiningTime", "Email", "DietaryRestrictions", "Budget", "Neighborhood", "Near"]
+    .map((name) => String(request[name] ?? "").toLowerCase().trim());
+  return createHash("sha256")
+    .update([event.sessionId || "", ...fields].join("\n"))
+    .digest("hex")
+    .slice(0, 32);
+}
+
 // ============================================================
-// EXTRA CREDIT - save user state so we can pre-fill next time
+// INSTANT RESULTS - same OpenSearch + DynamoDB lookup LF2 uses
 // ============================================================
-async function saveUserState(email, location, cuisine, numberOfPeople, diningDate, diningTime) {
+
+/**
+ * Look up INSTANT_RESULTS_COUNT restaurants for a request (the SQS message
+ * shape) in its borough or neighborhood, or within walking distance of the
+ * place it's near (then nearest first), skipping ones this user was shown
+ * recently (when we know who they are), ones closed at its date and time and
+ * ones that can't seat the party.
+ * Returns an array (possibly empty), or null if the lookup itself failed.
+ */
+async function findInstantPicks(request) {
+  const { Cuisine: cuisine, Location: location, Neighborhood: neighborhood, DietaryRestrictions: dietary = [], Budget: budget = "" } = request;
+  const historyKey = historyKeyFor(request);
+  const near = resolvePlace(request.Near);
+  try {
+    const partySize = request.NumberOfPeople;
+    const candidates = await searchOpenSearch(cuisine, { location, neighborhood, near, dietary, budget, partySize });
+    console.log(`Instant results: ${candidates.length} restaurants from OpenSearch`);
+    const recent = await getRecentlyRecommended(historyKey);
+    const eligible = applyHistory(candidates, recent, INSTANT_RESULTS_COUNT);
+    const ranked = rankCandidates(eligible, eligible.length, {
+      origin: near || neighborhoodCenter(neighborhood),
+      previouslyRecommended: recent,
+      budget: budgetRange(budget),
+      partySize: Number(partySize),
+    });
+    const picks = await pickOpenRestaurants(ranked, INSTANT_RESULTS_COUNT, { date: request.DiningDate, time: request.DiningTime });
+    if (near) picks.sort((a, b) => a.candidate.distanceKm - b.candidate.distanceKm);
+    const selectedIds = picks.map(({ candidate }) => candidate.id);
+    await recordRecommendations(historyKey, selectedIds, { cuisine, location, channel: "chat" });
+    return picks.map(({ candidate, restaurant }) => ({
+      ...restaurant,
+      businessId: candidate.id,
+      ...(candidate.distanceKm != null && { distanceKm: candidate.distanceKm }),
+      ...(candidate.widened && { widened: true }),
+    }));
+  } catch (err) {
+    console.warn("Instant results lookup failed:", err.message);
+    return null;
+  }
+}
+
+/** Shape a DynamoDB restaurant record for a restaurant card. */
+function toRestaurantCard(r) {
+  return {
+    name: r.name,
+    address: r.address,
+    rating: Number(r.rating) || null,
+    reviewCount: Number(r.numberOfReviews) || null,
+    ...(r.price && { price: r.price }),
+    ...(r.distanceKm != null && { distance: formatDistance(r.distanceKm) }),
+  };
+}
+
+// ============================================================
+// EXTRA CREDIT - user state so we can pre-fill next time
+// ============================================================
+// The user-state table is keyed by UserId (partition key, String): LF0's
+// visitor ID or the signed-in user's ID, never shared between callers.
+
+/** Look up the caller's last search. Returns null if unknown or on error. */
+async function getUserState(userId) {
+  if (!userId) return null;
+  try {
+    const result = await dynamoClient.send(new GetItemCommand({
+      TableName: "user-state",
+      Key: { UserId: { S: userId } },
+    }));
+    const item = result.Item;
+    if (!item?.Cuisine?.S || !item?.Location?.S || !item?.Email?.S) return null;
+    return {
+      email:          item.Email.S,
+      location:       item.Location.S,
+      cuisine:        item.Cuisine.S,
+      numberOfPeople: item.NumberOfPeople?.S || "2",
+      dietary:        (item.DietaryRestrictions?.L || []).map((d) => d.S),
+      budget:         item.Budget?.S || "",
+    };
+  } catch (err) {
+    // Non-fatal: the caller is greeted as a new user, but the log says why
+    logUserStateError("lookup", err);
+    return null;
+  }
+}
+
+async function saveUserState(userId, email, location, cuisine, numberOfPeople, diningDate, diningTime, dietary = [], budget = "") {
+  if (!userId) {
+    console.log("Extra credit: no UserId on request, not saving user state");
+    return;
+  }
   try {
     await dynamoClient.send(new PutItemCommand({
       TableName: "user-state",
       Item: {
+        UserId:              { S: userId },
         Email:               { S: email },
         Location:            { S: location },
         Cuisine:             { S: cuisine },
         NumberOfPeople:      { S: String(numberOfPeople) },
         DiningDate:          { S: diningDate },
         DiningTime:          { S: diningTime },
+        DietaryRestrictions: { L: dietary.map((d) => ({ S: d })) },
+        Budget:              { S: budget },
         LastSearchTimestamp:  { S: new Date().toISOString() },
       },
     }));
-    console.log("Extra credit: user state saved for", email);
+    console.log("Extra credit: user state saved for", userId);
   } catch (err) {
-    // Non-fatal — if the user-state table doesn't exist yet, just log and move on
-    console.warn("Extra credit state save skipped:", err.message);
+    // Non-fatal — the request is already queued
+    logUserStateError("save", err);
+  }
+}
+
+/** A missing or old-schema user-state table means returning users are never recognized; say so. */
+function logUserStateError(action, err) {
+  if (err.name === "ValidationException") {
+    // Tables created before visitor IDs are keyed by Email (see README "Returning Users")
+    console.error(`user-state ${action} failed - the table needs a UserId partition key:`, err.message);
+  } else if (err.name === "ResourceNotFoundException") {
+    console.error(`user-state ${action} failed - the table doesn't exist:`, err.message);
+  } else {
+    console.error(`user-state ${action} failed:`, err.name, err.message);
   }
 }
 
@@ -414,8 +1099,19 @@ function getSlotValue(slots, slotName) {
 // RESPONSE BUILDERS
 // ============================================================
 
+/**
+ * Build a Lex CustomPayload message. LF0 renders these as structured
+ * messages (type: "restaurant" | "quickReplies" | "confirmation").
+ */
+function buildCustomPayload(type, text, payload) {
+  return {
+    contentType: "CustomPayload",
+    content: JSON.stringify({ type, text, payload }),
+  };
+}
+
 /** Close the intent with a message (Fulfilled). */
-function buildFulfillmentResponse(event, messageContent) {
+function buildFulfillmentResponse(event, messageContent, extraMessages = []) {
   return {
     sessionState: {
       dialogAction: { type: "Close" },
@@ -426,12 +1122,12 @@ function buildFulfillmentResponse(event, messageContent) {
       },
       sessionAttributes: event.sessionState.sessionAttributes || {},
     },
-    messages: [{ contentType: "PlainText", content: messageContent }],
+    messages: [{ contentType: "PlainText", content: messageContent }, ...extraMessages],
   };
 }
 
 /** Re-ask the user for a specific slot with a validation message. */
-function buildElicitSlotResponse(event, slotToElicit, messageContent) {
+function buildElicitSlotResponse(event, slotToElicit, messageContent, extraMessages = []) {
   const slots = { ...event.sessionState.intent.slots };
   slots[slotToElicit] = null; // clear the bad value so Lex re-prompts
 
@@ -448,7 +1144,23 @@ function buildElicitSlotResponse(event, slotToElicit, messageContent) {
       },
       sessionAttributes: event.sessionState.sessionAttributes || {},
     },
-    messages: [{ contentType: "PlainText", content: messageContent }],
+    messages: [{ contentType: "PlainText", content: messageContent }, ...extraMessages],
+  };
+}
+
+/** Ask the user to confirm the intent (yes/no) before fulfilling it. */
+function buildConfirmIntentResponse(event, messageContent, extraMessages = []) {
+  return {
+    sessionState: {
+      dialogAction: { type: "ConfirmIntent" },
+      intent: {
+        name:  event.sessionState.intent.name,
+        slots: event.sessionState.intent.slots,
+        state: "InProgress",
+      },
+      sessionAttributes: event.sessionState.sessionAttributes || {},
+    },
+    messages: [{ contentType: "PlainText", content: messageContent }, ...extraMessages],
   };
 }
 
@@ -0,0 +1,98 @@
+/**
+ * iCalendar (RFC 5545) events
+ *
+ * LF2 attaches a calendar hold for the booking time to the suggestions
+ * email. DiningDate and DiningTime are New York wall-clock times, so the
+ * event is written in America/New_York together with that zone's VTIMEZONE
+ * definition instead of being converted to UTC: calendars show it at the
+ * right time whatever zone the user is in, on either side of a DST change.
+ */
+
+const TZID = "America/New_York";
+
+// US Eastern rules since 2007: EDT from the 2nd Sunday of March, EST from the 1st Sunday of November
+const VTIMEZONE = [
+  "BEGIN:VTIMEZONE",
+  `TZID:${TZID}`,
+  "BEGIN:DAYLIGHT",
+  "TZOFFSETFROM:-0500",
+  "TZOFFSETTO:-0400",
+  "TZNAME:EDT",
+  "DTSTART:20070311T020000",
+  "RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU",
+  "END:DAYLIGHT",
+  "BEGIN:STANDARD",
+  "TZOFFSETFROM:-0400",
+  "TZOFFSETTO:-0500",
+  "TZNAME:EST",
+  "DTSTART:20071104T020000",
+  "RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU",
+  "END:STANDARD",
+  "END:VTIMEZONE",
+];
+
+/**
+ * A calendar with a single tentative event, with CRLF line endings.
+ * `date` ("2026-03-05") and `time` ("19:00") are New York time. Keep `uid`
+ * the same when re-sending a request, so calendars update the event instead
+ * of adding a second one.
+ */
+export function buildCalendarEvent({ uid, date, time, durationMinutes, summary, description, location, now = new Date() }) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Dining Concierge//Suggestions//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    ...VTIMEZONE,
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `DTSTAMP:${now.toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "")}`,
+    `DTSTART;TZID=${TZID}:${localDateTime(date, time, 0)}`,
+    `DTEND;TZID=${TZID}:${localDateTime(date, time, durationMinutes)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    ...(location ? [`LOCATION:${escapeText(location)}`] : []),
+    ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+    "STATUS:TENTATIVE",
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ];
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+/** "2026-03-05", "19:00", 120 → "20260305T210000" (wall-clock, no zone). */
+function localDateTime(date, time, plusMinutes) {
+  const [year, month, day] = date.split("-").map(Number);
+  const [hour, minute] = time.split(":").map(Number);
+  // Date.UTC is only used for the calendar arithmetic (e.g. 23:00 + 2h is the next day)
+  const d = new Date(Date.UTC(year, month - 1, day, hour, minute + plusMinutes));
+  return d.toISOString().slice(0, 19).replace(/[-:]/g, "");
+}
+
+/** Escape a TEXT value: backslashes, semicolons, commas and newlines. */
+function escapeText(value) {
+  return String(value).replace(/[\\;,]/g, (c) => `\\${c}`).replace(/\r?\n/g, "\\n");
+}
+
+/** Fold a content line at 75 octets, never inside a UTF-8 character. */
+function fold(line) {
+  const parts = [];
+  let current = "";
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (octets + size > 75) {
+      parts.push(current);
+      current = " ";
+      octets = 1;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n");
+}
@@ -0,0 +1,120 @@
+/**
+ * Dead-letter store for dining requests LF2 gave up on
+ *
+ * Permanent failures, and transient ones that ran out of attempts, are kept
+ * here with the reason instead of being dropped. Once the cause is fixed
+ * (recipient verified in SES, OpenSearch back up, ...) redriveDeadLetters()
+ * puts them back on the queue; see other-scripts/redrive-dlq.mjs.
+ *
+ * DynamoDB table "dining-request-dlq":
+ *   MessageId   (partition key, String) - the original SQS message ID
+ *   Body        (String)  - the original message body, unchanged
+ *   Reason      (String)  - classifyError() reason code, or "max-attempts"
+ *   Error       (String)  - "<name>: <message>" of the last error
+ *   Attempts    (Number)  - deliveries before giving up
+ *   FailedAt    (String)  - ISO timestamp
+ *   Status      (String)  - "pending" or "redriven"
+ *   RedrivenAt  (String)  - ISO timestamp, once redriven
+ */
+
+import { DynamoDBClient, PutItemCommand, ScanCommand } from "@aws-sdk/client-dynamodb";
+import { SQSClient, SendMessageCommand } from "@aws-sdk/client-sqs";
+
+const region = process.env.REGION || "us-east-1";
+const dynamoClient = new DynamoDBClient({ region });
+const sqsClient = new SQSClient({ region });
+
+const TABLE_NAME = "dining-request-dlq";
+
+/** Store a failed message. Throws if the write fails, so the message isn't lost. */
+export async function recordDeadLetter({ messageId, body, reason, error, attempts }) {
+  await dynamoClient.send(new PutItemCommand({
+    TableName: TABLE_NAME,
+    Item: {
+      MessageId: { S: messageId },
+      Body:      { S: body },
+      Reason:    { S: reason },
+      Error:     { S: `${error.name}: ${error.message}` },
+      Attempts:  { N: String(attempts) },
+      FailedAt:  { S: new Date().toISOString() },
+      Status:    { S: "pending" },
+    },
+  }));
+  console.log(`Dead-lettered message ${messageId} (${reason})`);
+}
+
+/**
+ * List dead letters, oldest first. Filter by `status` ("pending" by default,
+ * null for all) and optionally by `reason`.
+ */
+export async function listDeadLetters({ status = "pending", reason } = {}) {
+  const items = [];
+  let ExclusiveStartKey;
+  do {
+    const result = await dynamoClient.send(new ScanCommand({ TableName: TABLE_NAME, ExclusiveStartKey }));
+    items.push(...(result.Items || []));
+    ExclusiveStartKey = result.LastEvaluatedKey;
+  } while (ExclusiveStartKey);
+
+  return items
+    .map(fromItem)
+    .filter((d) => (!status || d.status === status) && (!reason || d.reason === reason))
+    .sort((a, b) => a.failedAt.localeCompare(b.failedAt));
+}
+
+/**
+ * Send dead letters back to the queue and mark them redriven.
+ * `messageIds` limits it to specific messages; otherwise every pending one
+ * (matching `reason`, if given) is redriven. Returns the redriven dead letters.
+ */
+export async function redriveDeadLetters(queueUrl, { messageIds, reason } = {}) {
+  if (!queueUrl) throw new Error("SQS_QUEUE_URL not configured");
+
+  let deadLetters = await listDeadLetters({ reason });
+  if (messageIds?.length) {
+    deadLetters = deadLetters.filter((d) => messageIds.includes(d.messageId));
+  }
+
+  const redriven = [];
+  for (const d of deadLetters) {
+    await sqsClient.send(new SendMessageCommand({ QueueUrl: queueUrl, MessageBody: d.body }));
+    await dynamoClient.send(new PutItemCommand({
+      TableName: TABLE_NAME,
+      Item: {
+        ...toItem(d),
+        Status:     { S: "redriven" },
+        RedrivenAt: { S: new Date().toISOString() },
+      },
+    }));
+    console.log(`Redrove message ${d.messageId} (${d.reason})`);
+    redriven.push(d);
+  }
+  return redriven;
+}
+
+// ============================================================
+// HELPERS
+// ============================================================
+function fromItem(item) {
+  return {
+    messageId: item.MessageId.S,
+    body:      item.Body?.S || "",
+    reason:    item.Reason?.S || "unknown",
+    error:     item.Error?.S || "",
+    attempts:  Number(item.Attempts?.N || 0),
+    failedAt:  item.FailedAt?.S || "",
+    status:    item.Status?.S || "pending",
+  };
+}
+
+function toItem(d) {
+  return {
+    MessageId: { S: d.messageId },
+    Body:      { S: d.body },
+    Reason:    { S: d.reason },
+    Error:     { S: d.error },
+    Attempts:  { N: String(d.attempts) },
+    FailedAt:  { S: d.failedAt },
+    Status:    { S: d.status },
+  };
+}
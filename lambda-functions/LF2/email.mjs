@@ -0,0 +1,82 @@
+/**
+ * Suggestions email
+ *
+ * Turns LF2's picks into the values the "suggestions" templates refer to
+ * (templates/<locale>/suggestions.*, see templates.mjs) and renders them:
+ *   cuisine      - the cuisine and dietary options in the locale's words
+ *                  (terms.json), e.g. "vegan thai" / "tailandesa vegana"
+ *   numberOfPeople, diningDate, diningTime
+ *   area         - { near, widened, name }: "near Union Square", "in East Village"
+ *                  or, when the neighborhood was topped up from its borough,
+ *                  "nearby in Manhattan"
+ *   found        - any restaurants at all
+ *   shortfall    - fewer restaurants than asked for
+ *   count, single
+ *   restaurants  - [{ position, name, address, rating, numberOfReviews, price, distance }]
+ *
+ * When there are suggestions, a calendar hold for DiningDate / DiningTime is
+ * attached (calendar.mjs), listing them, at the top pick's address; its
+ * text comes from the invite.* templates.
+ */
+
+import { randomUUID } from "crypto";
+import { renderEmail, renderText, loadTerms } from "./templates.mjs";
+import { buildCalendarEvent } from "./calendar.mjs";
+import { formatDistance } from "../shared/places.mjs";
+
+// How long the calendar hold lasts
+const INVITE_MINUTES = 120;
+
+/**
+ * Render the suggestions email: { locale, subject, text, html, attachments }.
+ * `cuisine` is a canonical cuisine ("thai") and `dietary` canonical dietary
+ * options (["vegan"]). `expected` is how many suggestions were asked for; `locale` is e.g. "en_US"
+ * (unknown ones get the default templates). `requestId` keeps the invite's
+ * UID stable across re-sends.
+ */
+export function renderSuggestionsEmail({ requestId, cuisine, dietary = [], area, numberOfPeople, diningDate, diningTime, restaurants, expected, locale }) {
+  const view = {
+    cuisine: cuisinePhrase(cuisine, dietary, loadTerms(locale)),
+    area,
+    numberOfPeople,
+    diningDate,
+    diningTime,
+    found: restaurants.length > 0,
+    shortfall: restaurants.length > 0 && restaurants.length < expected,
+    count: restaurants.length,
+    single: restaurants.length === 1,
+    // Every field is set, so a missing one never picks up a value from the outer view
+    restaurants: restaurants.map((r, i) => ({
+      position: i + 1,
+      name: r.name,
+      address: r.address,
+      rating: r.rating,
+      numberOfReviews: r.numberOfReviews,
+      price: r.price || null,
+      distance: r.distanceKm != null ? formatDistance(r.distanceKm) : null,
+    })),
+  };
+  const email = renderEmail("suggestions", view, { locale });
+  if (restaurants.length === 0) return { ...email, attachments: [] };
+
+  const invite = buildCalendarEvent({
+    uid: `${requestId || randomUUID()}@dining-concierge`,
+    date: diningDate,
+    time: diningTime,
+    durationMinutes: INVITE_MINUTES,
+    summary: renderText("invite.summary.txt", view, { locale }),
+    description: renderText("invite.description.txt", view, { locale }),
+    location: `${restaurants[0].name}, ${restaurants[0].address}`,
+  });
+  return {
+    ...email,
+    attachments: [{ filename: "dinner.ics", contentType: "text/calendar; charset=UTF-8; method=PUBLISH", content: invite }],
+  };
+}
+
+/** "thai" + ["vegan"] → "vegan thai", or in the locale's words and order. */
+function cuisinePhrase(cuisine, dietary, terms) {
+  const words = dietary.map((d) => terms.dietary?.[d] || d);
+  const name = terms.cuisines?.[cuisine] || cuisine;
+  return (terms.dietaryAfterCuisine ? [name, ...words] : [...words, name]).join(" ");
+}
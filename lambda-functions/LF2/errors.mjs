@@ -0,0 +1,86 @@
+/**
+ * LF2 error model
+ *
+ * Every failure while processing a dining request is classified as either
+ *   transient - worth retrying later (throttling, timeouts, 5xx, network), or
+ *   permanent - retrying won't help (bad message, recipient SES rejects, 4xx).
+ * Unknown errors count as transient; MAX_ATTEMPTS still bounds them.
+ */
+
+export class PermanentError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = "PermanentError";
+    this.reason = reason;
+  }
+}
+
+export class TransientError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = "TransientError";
+    this.reason = reason;
+  }
+}
+
+// AWS SDK error names that mean "try again later"
+const TRANSIENT_AWS_ERRORS = new Set([
+  "Throttling",
+  "ThrottlingException",
+  "TooManyRequestsException",
+  "ProvisionedThroughputExceededException",
+  "RequestLimitExceeded",
+  "ServiceUnavailable",
+  "ServiceUnavailableException",
+  "InternalServerError",
+  "InternalFailure",
+  "RequestTimeout",
+  "RequestTimeoutException",
+  "TimeoutError",
+]);
+
+// SES errors that need someone to fix the recipient or the account first
+const PERMANENT_SES_ERRORS = {
+  MessageRejected: "recipient-rejected",
+  MailFromDomainNotVerifiedException: "sender-not-verified",
+  ConfigurationSetDoesNotExistException: "ses-misconfigured",
+  AccountSendingPausedException: "ses-sending-paused",
+};
+
+const TRANSIENT_NETWORK_CODES = new Set(["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EAI_AGAIN", "EPIPE"]);
+
+/**
+ * Classify an error. Returns { retryable, reason }, where reason is a short
+ * code stored with dead letters (e.g. "recipient-rejected", "throttled").
+ */
+export function classifyError(error) {
+  if (error instanceof PermanentError) {
+    return { retryable: false, reason: error.reason };
+  }
+  if (error instanceof TransientError) {
+    return { retryable: true, reason: error.reason };
+  }
+  if (error instanceof SyntaxError) {
+    return { retryable: false, reason: "invalid-message" };
+  }
+  if (PERMANENT_SES_ERRORS[error.name]) {
+    return { retryable: false, reason: PERMANENT_SES_ERRORS[error.name] };
+  }
+  if (TRANSIENT_AWS_ERRORS.has(error.name) || error.$retryable) {
+    return { retryable: true, reason: "throttled-or-unavailable" };
+  }
+  if (TRANSIENT_NETWORK_CODES.has(error.code)) {
+    return { retryable: true, reason: "network" };
+  }
+
+  // HTTP status from the SDK ($metadata) or from our OpenSearch requests (statusCode)
+  const status = error.$metadata?.httpStatusCode ?? error.statusCode;
+  if (status === 429 || status >= 500) {
+    return { retryable: true, reason: `http-${status}` };
+  }
+  if (status >= 400) {
+    return { retryable: false, reason: `http-${status}` };
+  }
+
+  return { retryable: true, reason: "unknown" };
+}
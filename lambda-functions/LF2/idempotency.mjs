@@ -0,0 +1,100 @@
+/**
+ * Processed-request record, so each dining request is emailed at most once
+ *
+ * SQS delivers at least once and Lex can fulfill the same request twice, so
+ * LF2 claims a request's RequestId (stamped by LF1) before emailing and marks
+ * it sent afterwards. A claim left "processing" by a crashed invocation goes
+ * stale after CLAIM_TIMEOUT_SECONDS and can be taken over.
+ *
+ * DynamoDB table "processed-requests":
+ *   RequestId (partition key, String)
+ *   Status    (String) - "processing" or "sent"
+ *   ClaimedAt (Number, epoch ms)
+ *   SentAt    (String, ISO timestamp)
+ *   ExpiresAt (Number, epoch seconds) - enable DynamoDB TTL on this attribute
+ */
+
+import { DynamoDBClient, PutItemCommand, GetItemCommand, DeleteItemCommand } from "@aws-sdk/client-dynamodb";
+
+const dynamoClient = new DynamoDBClient({ region: process.env.REGION || "us-east-1" });
+
+const TABLE_NAME = "processed-requests";
+const CLAIM_TIMEOUT_SECONDS = 15 * 60; // longer than the Lambda timeout
+const RETENTION_DAYS = 14;             // SQS's longest retention period
+
+/**
+ * Try to claim a request for processing. Returns:
+ *   "claimed"     - go ahead
+ *   "done"        - already emailed; skip it
+ *   "in-progress" - another invocation is on it right now; retry later
+ */
+export async function claimRequest(requestId) {
+  const now = Date.now();
+  try {
+    await dynamoClient.send(new PutItemCommand({
+      TableName: TABLE_NAME,
+      Item: {
+        RequestId: { S: requestId },
+        Status:    { S: "processing" },
+        ClaimedAt: { N: String(now) },
+        ExpiresAt: { N: String(expiresAt(now)) },
+      },
+      ConditionExpression: "attribute_not_exists(RequestId) OR (#status = :processing AND ClaimedAt < :stale)",
+      ExpressionAttributeNames: { "#status": "Status" },
+      ExpressionAttributeValues: {
+        ":processing": { S: "processing" },
+        ":stale":      { N: String(now - CLAIM_TIMEOUT_SECONDS * 1000) },
+      },
+    }));
+    return "claimed";
+  } catch (err) {
+    if (err.name !== "ConditionalCheckFailedException") throw err;
+  }
+
+  const existing = await dynamoClient.send(new GetItemCommand({
+    TableName: TABLE_NAME,
+    Key: { RequestId: { S: requestId } },
+  }));
+  return existing.Item?.Status?.S === "sent" ? "done" : "in-progress";
+}
+
+/**
+ * Mark a claimed request as emailed. Non-fatal: if this write fails the
+ * claim still blocks duplicates until it goes stale.
+ */
+export async function markRequestSent(requestId) {
+  const now = Date.now();
+  try {
+    await dynamoClient.send(new PutItemCommand({
+      TableName: TABLE_NAME,
+      Item: {
+        RequestId: { S: requestId },
+        Status:    { S: "sent" },
+        ClaimedAt: { N: String(now) },
+        SentAt:    { S: new Date(now).toISOString() },
+        ExpiresAt: { N: String(expiresAt(now)) },
+      },
+    }));
+  } catch (err) {
+    console.warn(`Could not mark request ${requestId} as sent:`, err.message);
+  }
+}
+
+/** Give up a claim after a failure, so a retry (or a redrive) can process it. Non-fatal. */
+export async function releaseRequest(requestId) {
+  try {
+    await dynamoClient.send(new DeleteItemCommand({
+      TableName: TABLE_NAME,
+      Key: { RequestId: { S: requestId } },
+      ConditionExpression: "#status = :processing",
+      ExpressionAttributeNames: { "#status": "Status" },
+      ExpressionAttributeValues: { ":processing": { S: "processing" } },
+    }));
+  } catch (err) {
+    console.warn(`Could not release request ${requestId}:`, err.message);
+  }
+}
+
+function expiresAt(nowMs) {
+  return Math.floor(nowMs / 1000) + RETENTION_DAYS * 24 * 60 * 60;
+}
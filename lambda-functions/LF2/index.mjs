@@ -1,32 +1,119 @@
 /**
  * LF2 - Queue Worker Lambda Function
  * 
- * Triggered every minute by EventBridge/CloudWatch Events.
- * Pulls a message from SQS (Q1), queries OpenSearch for restaurant IDs
- * matching the requested cuisine, fetches full details from DynamoDB,
- * formats the results, and sends an email to the user via SES.
+ * Triggered in one of two ways:
+ *   - SQS event source mapping (preferred): receives a batch in `event.Records`,
+ *     processes up to LF2_CONCURRENCY messages at once and reports failed ones
+ *     via `batchItemFailures` so only those are retried. Enable
+ *     "Report batch item failures" on the mapping.
+ *   - EventBridge schedule (legacy): pulls up to POLL_BATCH_SIZE messages from
+ *     SQS itself and deletes the ones it processed.
+ *
+ * Failures are classified (errors.mjs). Transient ones are retried with
+ * exponential backoff by extending the message's visibility timeout, up to
+ * MAX_ATTEMPTS deliveries; permanent ones, and transient ones out of
+ * attempts, go to the dead-letter store (dead-letters.mjs) with the reason.
+ *
+ * Each request is emailed at most once: LF2 claims the message's RequestId
+ * (idempotency.mjs) before processing, so redeliveries and duplicate
+ * fulfillments are skipped. Progress is recorded on the request's lifecycle
+ * record (shared/dining-requests.mjs), which CheckStatusIntent reads; a
+ * request the user cancelled or changed from the chat is skipped or sent
+ * with the new details.
+ *
+ * For each dining request: queries OpenSearch for restaurants matching the
+ * requested cuisine (and budget) in the requested area or within walking
+ * distance of a place ("near Union Square") that can seat the party, ranks
+ * them (rating, reviews, proximity, history, price, group-friendliness), fetches
+ * full details for the top picks that are open at the requested date and time
+ * from DynamoDB, renders the email from templates (email.mjs) in the user's
+ * language, and sends it via SES with a calendar invite (.ics) attached.
  * 
  * Environment Variables:
- *   SQS_QUEUE_URL          - URL of DiningRequestsQueue
+ *   SQS_QUEUE_URL          - URL of DiningRequestsQueue (required for schedule mode)
  *   OPENSEARCH_ENDPOINT    - OpenSearch domain endpoint (e.g., https://xxx.us-east-1.es.amazonaws.com)
  *   OPENSEARCH_USERNAME    - OpenSearch master username
  *   OPENSEARCH_PASSWORD    - OpenSearch master password
  *   SES_SENDER_EMAIL       - Verified SES sender email address
+ *   EMAIL_LOCALE           - Email language when the request doesn't say (default: en, see templates.mjs)
+ *   LF2_CONCURRENCY        - Messages processed in parallel (default: 5)
+ *   POLL_BATCH_SIZE        - Messages pulled per scheduled run, 1-10 (default: 1)
+ *   MAX_ATTEMPTS           - Deliveries before a failing message is dead-lettered (default: 5)
+ *   RETRY_BASE_SECONDS     - First retry delay, doubled each attempt (default: 30)
+ *   RETRY_MAX_SECONDS      - Longest retry delay (default: 900)
+ *   HISTORY_COOLDOWN_DAYS  - Days before a sent restaurant can be suggested again (default: 30)
+ *   HISTORY_MODE           - "exclude" (default) or "downrank" recently sent restaurants
+ *   RANKING_WEIGHTS        - Optional JSON scoring weights (see shared/ranking.mjs)
+ *   RANKING_TEMPERATURE    - Optional pick randomness (see shared/ranking.mjs)
  *   REGION                 - AWS region (default: us-east-1)
  */
 
-import { SQSClient, ReceiveMessageCommand, DeleteMessageCommand } from "@aws-sdk/client-sqs";
-import { DynamoDBClient, GetItemCommand } from "@aws-sdk/client-dynamodb";
-import { SESClient, SendEmailCommand } from "@aws-sdk/client-ses";
-import https from "https";
-import http from "http";
+import { SQSClient, ReceiveMessageCommand, DeleteMessageCommand, ChangeMessageVisibilityCommand } from "@aws-sdk/client-sqs";
+import { SESClient, SendRawEmailCommand } from "@aws-sdk/client-ses";
+import { searchOpenSearch, pickOpenRestaurants, getRestaurantFromDynamoDB } from "../shared/restaurants.mjs";
+import { rankCandidates, distanceKm } from "../shared/ranking.mjs";
+import { budgetRange } from "../shared/budget.mjs";
+import { neighborhoodCenter, displayNeighborhood } from "../shared/neighborhoods.mjs";
+import { resolvePlace, displayPlace } from "../shared/places.mjs";
+import { historyKeyFor, getRecentlyRecommended, recordRecommendations, applyHistory } from "../shared/history.mjs";
+import { PermanentError, TransientError, classifyError } from "./errors.mjs";
+import { claimRequest, markRequestSent, releaseRequest } from "./idempotency.mjs";
+import { recordDeadLetter } from "./dead-letters.mjs";
+import { renderSuggestionsEmail } from "./email.mjs";
+import { buildMimeMessage } from "./mime.mjs";
+import { updateRequestStatus, startProcessing, applyModifications } from "../shared/dining-requests.mjs";
 
 const region = process.env.REGION || "us-east-1";
 const sqsClient = new SQSClient({ region });
-const dynamoClient = new DynamoDBClient({ region });
 const sesClient = new SESClient({ region });
 
+const SUGGESTION_COUNT = 3;
+const CONCURRENCY = Math.max(1, parseInt(process.env.LF2_CONCURRENCY, 10) || 5);
+const POLL_BATCH_SIZE = Math.min(10, Math.max(1, parseInt(process.env.POLL_BATCH_SIZE, 10) || 1));
+const MAX_ATTEMPTS = Math.max(1, parseInt(process.env.MAX_ATTEMPTS, 10) || 5);
+const RETRY_BASE_SECONDS = parseInt(process.env.RETRY_BASE_SECONDS, 10) || 30;
+const RETRY_MAX_SECONDS = parseInt(process.env.RETRY_MAX_SECONDS, 10) || 900;
+
 export const handler = async (event) => {
+  if (Array.isArray(event?.Records)) {
+    return handleSqsBatch(event.Records);
+  }
+  return handleScheduledPoll();
+};
+
+// ============================================================
+// TRIGGERS
+// ============================================================
+
+/**
+ * SQS event source mapping: process the batch and tell Lambda which
+ * messages failed. Successful ones are deleted by the mapping itself.
+ */
+async function handleSqsBatch(records) {
+  console.log(`LF2 invoked - SQS batch of ${records.length}`);
+
+  const results = await mapWithConcurrency(records, CONCURRENCY, (record) =>
+    processMessage({
+      messageId: record.messageId,
+      body: record.body,
+      receiptHandle: record.receiptHandle,
+      attempt: Number(record.attributes?.ApproximateReceiveCount) || 1,
+      queueUrl: process.env.SQS_QUEUE_URL || queueUrlFromArn(record.eventSourceARN),
+    }));
+
+  const batchItemFailures = records
+    .filter((_, i) => results[i].status === "rejected")
+    .map((record) => ({ itemIdentifier: record.messageId }));
+
+  console.log(`Processed ${records.length - batchItemFailures.length}/${records.length} messages`);
+  return { batchItemFailures };
+}
+
+/**
+ * EventBridge schedule: pull messages ourselves, delete the ones processed.
+ * Failed messages are left on the queue and reappear after the visibility timeout.
+ */
+async function handleScheduledPoll() {
   console.log("LF2 invoked - Queue Worker");
 
   const sqsQueueUrl = process.env.SQS_QUEUE_URL;
@@ -36,199 +123,245 @@ export const handler = async (event) => {
   }
 
   try {
-    // 1. Pull a message from SQS
     const receiveResult = await sqsClient.send(
       new ReceiveMessageCommand({
         QueueUrl: sqsQueueUrl,
-        MaxNumberOfMessages: 1,
+        MaxNumberOfMessages: POLL_BATCH_SIZE,
+        MessageSystemAttributeNames: ["ApproximateReceiveCount"],
         WaitTimeSeconds: 0, // Short poll since we're on a schedule
       })
     );
 
-    if (!receiveResult.Messages || receiveResult.Messages.length === 0) {
+    const messages = receiveResult.Messages || [];
+    if (messages.length === 0) {
       console.log("No messages in queue. Nothing to process.");
       return { statusCode: 200, body: "No messages to process" };
     }
 
-    const message = receiveResult.Messages[0];
-    const messageBody = JSON.parse(message.Body);
-    console.log("Processing message:", JSON.stringify(messageBody));
-
-    const { Location, Cuisine, NumberOfPeople, DiningDate, DiningTime, Email } = messageBody;
-
-    // 2. Query OpenSearch for restaurant IDs matching the cuisine
-    const restaurantIds = await searchOpenSearch(Cuisine);
-    console.log(`Found ${restaurantIds.length} restaurants from OpenSearch`);
-
-    if (restaurantIds.length === 0) {
-      console.log("No restaurants found in OpenSearch for cuisine:", Cuisine);
-      // Still delete the message so it doesn't get re-processed
+    const results = await mapWithConcurrency(messages, CONCURRENCY, async (message) => {
+      await processMessage({
+        messageId: message.MessageId,
+        body: message.Body,
+        receiptHandle: message.ReceiptHandle,
+        attempt: Number(message.Attributes?.ApproximateReceiveCount) || 1,
+        queueUrl: sqsQueueUrl,
+      });
       await deleteSQSMessage(sqsQueueUrl, message.ReceiptHandle);
-      return { statusCode: 200, body: "No restaurants found" };
-    }
-
-    // 3. Pick 3 random restaurants
-    const selectedIds = getRandomItems(restaurantIds, 3);
-    console.log("Selected restaurant IDs:", selectedIds);
+      console.log("SQS message deleted:", message.MessageId);
+    });
 
-    // 4. Fetch full details from DynamoDB
-    const restaurants = await Promise.all(
-      selectedIds.map((id) => getRestaurantFromDynamoDB(id))
-    );
-    console.log("Restaurant details:", JSON.stringify(restaurants));
-
-    // 5. Format and send email via SES
-    try {
-      await sendEmailViaSES(
-        Email,
-        Cuisine,
-        NumberOfPeople,
-        DiningDate,
-        DiningTime,
-        restaurants
-      );
-      console.log("Email sent successfully to:", Email);
-    } catch (emailError) {
-      console.error("Failed to send email:", emailError.message);
-      // Still delete the message to avoid infinite retry loop
-      // (e.g., unverified recipient in SES sandbox mode)
+    const failed = results.filter((r) => r.status === "rejected").length;
+    if (failed === messages.length) {
+      return { statusCode: 500, body: results[0].reason.message };
     }
-
-    // 6. Delete the processed message from SQS (always, even if email failed)
-    await deleteSQSMessage(sqsQueueUrl, message.ReceiptHandle);
-    console.log("SQS message deleted");
-
-    return { statusCode: 200, body: "Message processed" };
+    return {
+      statusCode: 200,
+      body: failed > 0
+        ? `Processed ${messages.length - failed} of ${messages.length} messages`
+        : messages.length === 1 ? "Message processed" : `${messages.length} messages processed`,
+    };
   } catch (error) {
     console.error("Error in LF2:", error);
     return { statusCode: 500, body: error.message };
   }
-};
+}
 
 // ============================================================
-// OPENSEARCH QUERY
+// DINING REQUEST
 // ============================================================
-async function searchOpenSearch(cuisine) {
-  const endpoint = process.env.OPENSEARCH_ENDPOINT;
-  const username = process.env.OPENSEARCH_USERNAME;
-  const password = process.env.OPENSEARCH_PASSWORD;
-
-  if (!endpoint) {
-    throw new Error("OPENSEARCH_ENDPOINT not configured");
-  }
-
-  // Search for restaurants matching the cuisine
-  const query = {
-    size: 50, // Get up to 50 matches, we'll randomly pick 3
-    query: {
-      match: {
-        Cuisine: cuisine.toLowerCase(),
-      },
-    },
-  };
 
-  const url = new URL(`${endpoint}/restaurants/_search`);
-  const auth = Buffer.from(`${username}:${password}`).toString("base64");
-
-  const responseBody = await makeHttpRequest({
-    hostname: url.hostname,
-    port: url.port || 443,
-    path: url.pathname,
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Basic ${auth}`,
-    },
-    body: JSON.stringify(query),
-    protocol: url.protocol,
-  });
+/**
+ * Handle one queued dining request end to end.
+ * Resolves when the message is done with: processed, or dead-lettered.
+ * Throws when it should be retried; the visibility timeout has then already
+ * been pushed out by the backoff delay.
+ */
+async function processMessage({ messageId, body, receiptHandle, attempt, queueUrl }) {
+  // Keep the request's lifecycle record (dining-requests.mjs) up to date, if LF1 created one
+  let trackedId = null;
+  const track = (status, details) => trackedId && updateRequestStatus(trackedId, status, details);
 
-  const result = JSON.parse(responseBody);
+  try {
+    const messageBody = JSON.parse(body);
+    if (!messageBody || typeof messageBody !== "object" || Array.isArray(messageBody)) {
+      throw new PermanentError("invalid-message", "Dining request is not a JSON object");
+    }
+    trackedId = messageBody.RequestId || null;
+    console.log(`Processing message ${messageId} (attempt ${attempt}):`, JSON.stringify(messageBody));
+    if (!messageBody.Email) {
+      throw new PermanentError("missing-email", "Dining request has no Email");
+    }
+    // Messages queued before LF1 stamped RequestIds still dedupe SQS redeliveries;
+    // QueuedAt separates the same request asked for again after it was sent or cancelled
+    // (LF1 leaves it out when it couldn't record the request, so that it's sent once at most)
+    const requestId = messageBody.RequestId
+      ? [messageBody.RequestId, messageBody.QueuedAt].filter(Boolean).join("@")
+      : `sqs:${messageId}`;
+    await processOnce(requestId, async () => {
+      // Honor a cancellation or change the user made from the chat while it was queued
+      const { cancelled, request } = trackedId
+        ? await startProcessing(trackedId, attempt, messageBody.QueuedAt)
+        : { cancelled: false, request: null };
+      if (cancelled) {
+        console.log(`Request ${trackedId} was cancelled or queued again, not sending this message`);
+        return false;
+      }
+      const resultCount = await processDiningRequest(applyModifications(messageBody, request));
+      await track(resultCount > 0 ? "sent" : "no-results", { resultCount });
+      return true;
+    });
+  } catch (error) {
+    const { retryable, reason } = classifyError(error);
+    console.error(`Failed to process message ${messageId} (${reason}, attempt ${attempt}):`, error.message);
+
+    if (retryable && attempt < MAX_ATTEMPTS) {
+      // Another invocation holding the request owns its status
+      if (reason !== "in-progress") await track("queued", { detail: `retrying: ${reason}`, attempts: attempt });
+      await delayRetry(queueUrl, receiptHandle, backoffSeconds(attempt));
+      throw error;
+    }
+    await track("failed", { detail: retryable ? "max-attempts" : reason, attempts: attempt });
+    // Out of options: park it with the reason (throws, so it's retried, if that fails too)
+    await recordDeadLetter({
+      messageId,
+      body,
+      reason: retryable ? "max-attempts" : reason,
+      error,
+      attempts: attempt,
+    });
+  }
+}
 
-  if (!result.hits || !result.hits.hits) {
-    return [];
+/**
+ * Run `work` unless this request was already handled; record it once it
+ * succeeds. `work` returns false when it sent nothing (the request was
+ * cancelled): the claim is then released instead of recorded as sent.
+ */
+async function processOnce(requestId, work) {
+  const claim = await claimRequest(requestId);
+  if (claim === "done") {
+    console.log(`Request ${requestId} was already emailed, skipping duplicate`);
+    return;
+  }
+  if (claim === "in-progress") {
+    throw new TransientError("in-progress", `Request ${requestId} is being processed by another invocation`);
   }
 
-  // Extract RestaurantIDs from the search results
-  return result.hits.hits.map((hit) => hit._source.RestaurantID);
+  let sent;
+  try {
+    sent = await work();
+  } catch (error) {
+    await releaseRequest(requestId);
+    throw error;
+  }
+  if (sent) {
+    await markRequestSent(requestId);
+  } else {
+    await releaseRequest(requestId);
+  }
 }
 
-// ============================================================
-// DYNAMODB LOOKUP
-// ============================================================
-async function getRestaurantFromDynamoDB(businessId) {
-  const result = await dynamoClient.send(
-    new GetItemCommand({
-      TableName: "yelp-restaurants",
-      Key: {
-        BusinessID: { S: businessId },
-      },
-    })
-  );
-
-  if (!result.Item) {
-    return { name: "Unknown Restaurant", address: "Address not available" };
+/** Search, rank and email suggestions for one request. Returns how many restaurants were sent. */
+async function processDiningRequest(messageBody) {
+  const { Location, Neighborhood, Cuisine, NumberOfPeople, DiningDate, DiningTime, Email, RestaurantIDs } = messageBody;
+  const dietary = messageBody.DietaryRestrictions || [];
+  const budget = messageBody.Budget || "";
+  const historyKey = historyKeyFor(messageBody);
+  const near = resolvePlace(messageBody.Near);
+  if (messageBody.Near && !near) console.warn(`Unknown place "${messageBody.Near}", searching ${Neighborhood || Location} instead`);
+
+  let selectedIds;
+  let restaurants;
+  // Whether some picks are from around the neighborhood rather than in it (see searchOpenSearch)
+  let widened = false;
+  if (Array.isArray(RestaurantIDs) && RestaurantIDs.length > 0) {
+    // 1-3. LF1 already showed these picks in the chat (instant results) — email the same ones
+    selectedIds = RestaurantIDs;
+    widened = Boolean(messageBody.Widened);
+    console.log("Using restaurant IDs chosen by LF1:", selectedIds);
+    restaurants = (await Promise.all(selectedIds.map((id) => getRestaurantFromDynamoDB(id))))
+      .map((r) => (near && r.lat != null ? { ...r, distanceKm: distanceKm(near, r) } : r));
+  } else {
+    // 1. Query OpenSearch for restaurant IDs matching the cuisine (and any dietary
+    // restrictions, budget and party size) in the requested neighborhood or borough, or near a place
+    // (no matches is fine — the email tells the user instead of silently dropping the request)
+    const candidates = await searchOpenSearch(Cuisine, {
+      location: Location, neighborhood: Neighborhood, near, dietary, budget, partySize: NumberOfPeople,
+    });
+    console.log(`Found ${candidates.length} restaurants from OpenSearch`);
+
+    // Skip (or down-rank) restaurants this user was sent recently
+    const recent = await getRecentlyRecommended(historyKey);
+    const eligible = applyHistory(candidates, recent, SUGGESTION_COUNT);
+    console.log(`${recent.size} recently recommended, ${eligible.length} eligible candidates`);
+
+    // 2. Rank them all, then
+    // 3. fetch details from DynamoDB down the ranking until 3 are open at the
+    // requested date and time (fewer if the area doesn't have enough; the email says so)
+    const ranked = rankCandidates(eligible, eligible.length, {
+      origin: near || neighborhoodCenter(Neighborhood),
+      previouslyRecommended: recent,
+      budget: budgetRange(budget),
+      partySize: Number(NumberOfPeople),
+    });
+    const picks = await pickOpenRestaurants(ranked, SUGGESTION_COUNT, { date: DiningDate, time: DiningTime });
+    // Near a place: list the picks nearest first, with how far each one is
+    if (near) picks.sort((a, b) => a.candidate.distanceKm - b.candidate.distanceKm);
+    selectedIds = picks.map(({ candidate }) => candidate.id);
+    widened = picks.some(({ candidate }) => candidate.widened);
+    restaurants = picks.map(({ candidate, restaurant }) => ({
+      ...restaurant,
+      ...(candidate.distanceKm != null && { distanceKm: candidate.distanceKm }),
+    }));
+    console.log("Selected restaurants:", JSON.stringify(picks.map(({ candidate: { id, score, breakdown } }) => ({ id, score, breakdown }))));
+  }
+  console.log("Restaurant details:", JSON.stringify(restaurants));
+  if (restaurants.length < SUGGESTION_COUNT) {
+    console.log(`Only ${restaurants.length} ${Cuisine} restaurants found in ${Neighborhood || Location}`);
   }
 
-  return {
-    name: result.Item.Name?.S || "Unknown Restaurant",
-    address: result.Item.Address?.S || "Address not available",
-    rating: result.Item.Rating?.N || "N/A",
-    numberOfReviews: result.Item.NumberOfReviews?.N || "N/A",
-    zipCode: result.Item.ZipCode?.S || "",
-  };
+  // 4. Render the email in the user's language and send it via SES
+  // (an unverified recipient in SES sandbox mode is a permanent failure and gets dead-lettered)
+  const email = renderSuggestionsEmail({
+    requestId: messageBody.RequestId,
+    cuisine: Cuisine,
+    dietary,
+    area: near
+      ? { near: true, name: displayPlace(near.name) }
+      : { near: false, widened, name: displayNeighborhood(widened ? Location : Neighborhood || Location) || "your area" },
+    numberOfPeople: NumberOfPeople,
+    diningDate: DiningDate,
+    diningTime: DiningTime,
+    restaurants,
+    expected: SUGGESTION_COUNT,
+    locale: messageBody.Locale || process.env.EMAIL_LOCALE,
+  });
+  await sendEmailViaSES(Email, email);
+  console.log("Email sent successfully to:", Email);
+  await recordRecommendations(historyKey, selectedIds, { cuisine: Cuisine, location: Location });
+  return restaurants.length;
 }
 
 // ============================================================
 // SES EMAIL
 // ============================================================
-async function sendEmailViaSES(recipientEmail, cuisine, numberOfPeople, diningDate, diningTime, restaurants) {
+/**
+ * Send a rendered email ({ subject, text, html, attachments }, see email.mjs).
+ * Attachments need a raw MIME message (mime.mjs), so this uses SendRawEmail.
+ */
+async function sendEmailViaSES(recipientEmail, { subject, text, html, attachments }) {
   const senderEmail = process.env.SES_SENDER_EMAIL;
   if (!senderEmail) {
     throw new Error("SES_SENDER_EMAIL not configured");
   }
 
-  // Format the restaurant list
-  const restaurantList = restaurants
-    .map((r, i) => `${i + 1}. ${r.name}, located at ${r.address}`)
-    .join("\n");
-
-  const emailBody = `Hello! Here are my ${cuisine} restaurant suggestions for ${numberOfPeople} people, for ${diningDate} at ${diningTime}:\n\n${restaurantList}\n\nEnjoy your meal!`;
-
-  const emailHtml = `
-    <html>
-      <body>
-        <p>Hello!</p>
-        <p>Here are my <strong>${cuisine}</strong> restaurant suggestions for <strong>${numberOfPeople}</strong> people, for <strong>${diningDate}</strong> at <strong>${diningTime}</strong>:</p>
-        <ol>
-          ${restaurants.map((r) => `<li><strong>${r.name}</strong>, located at ${r.address} (Rating: ${r.rating}/5, ${r.numberOfReviews} reviews)</li>`).join("")}
-        </ol>
-        <p>Enjoy your meal!</p>
-      </body>
-    </html>
-  `;
-
+  const message = buildMimeMessage({ from: senderEmail, to: [recipientEmail], subject, text, html, attachments });
   await sesClient.send(
-    new SendEmailCommand({
+    new SendRawEmailCommand({
       Source: senderEmail,
-      Destination: {
-        ToAddresses: [recipientEmail],
-      },
-      Message: {
-        Subject: {
-          Data: `Your ${cuisine} Restaurant Suggestions`,
-          Charset: "UTF-8",
-        },
-        Body: {
-          Text: {
-            Data: emailBody,
-            Charset: "UTF-8",
-          },
-          Html: {
-            Data: emailHtml,
-            Charset: "UTF-8",
-          },
-        },
+      Destinations: [recipientEmail],
+      RawMessage: {
+        Data: Buffer.from(message, "utf-8"),
       },
     })
   );
@@ -251,39 +384,55 @@ async function deleteSQSMessage(queueUrl, receiptHandle) {
 }
 
 /**
- * Pick N random items from an array
+ * Hide a message for `seconds` before its next delivery. Non-fatal: if this
+ * fails, the queue's own visibility timeout applies instead.
  */
-function getRandomItems(array, n) {
-  const shuffled = [...array].sort(() => 0.5 - Math.random());
-  return shuffled.slice(0, Math.min(n, shuffled.length));
+async function delayRetry(queueUrl, receiptHandle, seconds) {
+  try {
+    await sqsClient.send(
+      new ChangeMessageVisibilityCommand({
+        QueueUrl: queueUrl,
+        ReceiptHandle: receiptHandle,
+        VisibilityTimeout: seconds,
+      })
+    );
+    console.log(`Retrying in ${seconds}s`);
+  } catch (err) {
+    console.warn("Could not delay retry:", err.message);
+  }
+}
+
+/** Exponential backoff with jitter: ~base, 2×base, 4×base ... capped at RETRY_MAX_SECONDS. */
+function backoffSeconds(attempt) {
+  const delay = Math.min(RETRY_MAX_SECONDS, RETRY_BASE_SECONDS * 2 ** (attempt - 1));
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+/** arn:aws:sqs:<region>:<account>:<name> → https://sqs.<region>.amazonaws.com/<account>/<name> */
+function queueUrlFromArn(arn) {
+  const [, , , queueRegion, account, name] = (arn || "").split(":");
+  return name ? `https://sqs.${queueRegion}.amazonaws.com/${account}/${name}` : undefined;
 }
 
 /**
- * Make an HTTPS/HTTP request (used for OpenSearch queries)
+ * Run `fn` over `items` with at most `limit` in flight.
+ * Resolves to Promise.allSettled-style results, in input order.
  */
-function makeHttpRequest(options) {
-  return new Promise((resolve, reject) => {
-    const protocol = options.protocol === "http:" ? http : https;
-    const body = options.body;
-    delete options.body;
-    delete options.protocol;
-
-    const req = protocol.request(options, (res) => {
-      let data = "";
-      res.on("data", (chunk) => (data += chunk));
-      res.on("end", () => {
-        if (res.statusCode >= 200 && res.statusCode < 300) {
-          resolve(data);
-        } else {
-          reject(new Error(`OpenSearch request failed: ${res.statusCode} - ${data}`));
-        }
-      });
-    });
-
-    req.on("error", reject);
-    if (body) {
-      req.write(body);
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      try {
+        results[i] = { status: "fulfilled", value: await fn(items[i], i) };
+      } catch (reason) {
+        results[i] = { status: "rejected", reason };
+      }
     }
-    req.end();
-  });
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
 }
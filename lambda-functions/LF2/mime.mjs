@@ -0,0 +1,84 @@
+/**
+ * Raw MIME messages for SES SendRawEmail
+ *
+ * SendEmail can't carry attachments, so LF2 builds the message itself:
+ *   multipart/mixed
+ *     multipart/alternative - text/plain, then text/html
+ *     one part per attachment (the calendar invite)
+ * Every part is base64-encoded, so UTF-8 copy and long lines survive any
+ * mail hop; a non-ASCII subject is sent as RFC 2047 encoded words.
+ */
+
+import { randomUUID } from "crypto";
+
+/**
+ * Build the message as a string with CRLF line endings.
+ * `attachments`: [{ filename, contentType, content }], content being a string.
+ */
+export function buildMimeMessage({ from, to, subject, text, html, attachments = [] }) {
+  const mixed = boundary();
+  const alternative = boundary();
+  const lines = [
+    `From: ${from}`,
+    `To: ${to.join(", ")}`,
+    `Subject: ${encodeHeader(subject)}`,
+    "MIME-Version: 1.0",
+    `Content-Type: multipart/mixed; boundary="${mixed}"`,
+    "",
+    `--${mixed}`,
+    `Content-Type: multipart/alternative; boundary="${alternative}"`,
+    "",
+    `--${alternative}`,
+    ...part({ contentType: "text/plain; charset=UTF-8", content: text }),
+    `--${alternative}`,
+    ...part({ contentType: "text/html; charset=UTF-8", content: html }),
+    `--${alternative}--`,
+    "",
+  ];
+  for (const { filename, contentType, content } of attachments) {
+    lines.push(`--${mixed}`, ...part({
+      contentType: `${contentType}; name="${filename}"`,
+      disposition: `attachment; filename="${filename}"`,
+      content,
+    }));
+  }
+  lines.push(`--${mixed}--`, "");
+  return lines.join("\r\n");
+}
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+function boundary() {
+  return `=_${randomUUID().replace(/-/g, "")}`;
+}
+
+/** A part's headers and base64 body, in lines of 76 characters. */
+function part({ contentType, disposition, content }) {
+  return [
+    `Content-Type: ${contentType}`,
+    "Content-Transfer-Encoding: base64",
+    ...(disposition ? [`Content-Disposition: ${disposition}`] : []),
+    "",
+    ...(Buffer.from(content || "", "utf-8").toString("base64").match(/.{1,76}/g) || []),
+    "",
+  ];
+}
+
+/** ASCII headers as they are; anything else as encoded words of whole characters. */
+function encodeHeader(value) {
+  if (/^[\x20-\x7e]*$/.test(value)) return value;
+  const words = [];
+  let chunk = "";
+  for (const char of value) {
+    // 45 bytes → 60 base64 characters, keeping each encoded word under 75
+    if (Buffer.byteLength(chunk + char) > 45) {
+      words.push(chunk);
+      chunk = "";
+    }
+    chunk += char;
+  }
+  words.push(chunk);
+  return words.map((w) => `=?UTF-8?B?${Buffer.from(w, "utf-8").toString("base64")}?=`).join("\r\n ");
+}
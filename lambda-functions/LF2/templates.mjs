@@ -0,0 +1,188 @@
+/**
+ * Email templates
+ *
+ * LF2's emails are rendered from files in templates/<locale>/:
+ *   <email>.subject.txt          - the subject line
+ *   <email>.txt, <email>.html    - the plain-text and HTML bodies
+ *   <name>.txt                   - other plain text, e.g. the calendar invite's
+ *   partials/<name>.txt / .html  - pieces included with {{> name}}, e.g. the
+ *                                  restaurant card; .html templates include
+ *                                  the .html partial, .txt ones the .txt one
+ *   terms.json                   - the locale's names for values that end up
+ *                                  in the copy, e.g. cuisines (see email.mjs)
+ * A locale only needs the files it translates; anything missing comes from
+ * DEFAULT_LOCALE (terms.json has no fallback: untranslated values are used as they are). Locales are matched loosely: "es_US" uses es-us/, else es/.
+ *
+ * Syntax (a small subset of Mustache):
+ *   {{name}}, {{a.b}}       - a value; HTML-escaped in .html templates
+ *   {{{name}}}              - a value, never escaped (trusted markup only)
+ *   {{#name}}...{{/name}}   - once per item of a list, or once if truthy
+ *   {{^name}}...{{/name}}   - only if missing, false or an empty list
+ *   {{> name}}              - a partial, with the current values
+ *   {{! comment }}
+ * Inside a section, {{.}} is the current item, and names are looked up on it
+ * first, then outward. A tag alone on its line (other than a value) doesn't
+ * leave a blank line behind.
+ */
+
+import { readFileSync, readdirSync, existsSync } from "fs";
+
+export const DEFAULT_LOCALE = "en";
+
+const TEMPLATES_DIR = new URL("./templates/", import.meta.url);
+const LOCALES = readdirSync(TEMPLATES_DIR);
+
+// Parsed templates (and terms) by file URL; they only change with a deployment
+const cache = new Map();
+
+/**
+ * Render one email in a locale: { locale, subject, text, html }.
+ * `view` holds the values the templates refer to.
+ */
+export function renderEmail(email, view, { locale } = {}) {
+  const resolved = resolveLocale(locale);
+  return {
+    locale: resolved,
+    subject: renderFile(resolved, `${email}.subject.txt`, view).trim().replace(/\s+/g, " "),
+    text: renderFile(resolved, `${email}.txt`, view),
+    html: renderFile(resolved, `${email}.html`, view),
+  };
+}
+
+/** Render one plain-text template, e.g. "invite.summary.txt", without surrounding whitespace. */
+export function renderText(file, view, { locale } = {}) {
+  return renderFile(resolveLocale(locale), file, view).trim();
+}
+
+/** A locale's terms.json, or {} if it has none. */
+export function loadTerms(locale) {
+  const url = new URL(`${resolveLocale(locale)}/terms.json`, TEMPLATES_DIR);
+  if (!cache.has(url.href)) {
+    cache.set(url.href, existsSync(url) ? JSON.parse(readFileSync(url, "utf-8")) : {});
+  }
+  return cache.get(url.href);
+}
+
+/** "es_US" / "es-US" → "es-us" if there's such a folder, else "es", else DEFAULT_LOCALE. */
+function resolveLocale(locale) {
+  const tag = (locale || "").toLowerCase().replace(/_/g, "-");
+  const candidates = [tag, tag.split("-")[0]];
+  return candidates.find((c) => c && LOCALES.includes(c)) || DEFAULT_LOCALE;
+}
+
+// ============================================================
+// FILES
+// ============================================================
+
+function renderFile(locale, file, view) {
+  const extension = file.slice(file.lastIndexOf("."));
+  return renderNodes(load(locale, file), [view], {
+    html: extension === ".html",
+    partial: (name) => load(locale, `partials/${name}${extension}`),
+  });
+}
+
+/** A locale's parsed template, falling back to DEFAULT_LOCALE's. */
+function load(locale, file) {
+  let url = new URL(`${locale}/${file}`, TEMPLATES_DIR);
+  if (!existsSync(url)) url = new URL(`${DEFAULT_LOCALE}/${file}`, TEMPLATES_DIR);
+  if (!cache.has(url.href)) {
+    if (!existsSync(url)) throw new Error(`Email template not found: ${file}`);
+    cache.set(url.href, parse(readFileSync(url, "utf-8"), file));
+  }
+  return cache.get(url.href);
+}
+
+// ============================================================
+// PARSING AND RENDERING
+// ============================================================
+
+const TAG = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([#^/>!]?)\s*([^}]*?)\s*\}\}/g;
+
+/** Template source → a tree of { text } / { value } / { section } / { partial } nodes. */
+function parse(source, name = "template") {
+  const root = { children: [] };
+  const open = [root];
+  let last = 0;
+  for (const match of source.matchAll(TAG)) {
+    const [tag, raw, sigil, key] = match;
+    const start = last;
+    let text = source.slice(start, match.index);
+    last = match.index + tag.length;
+
+    // A standalone section, partial or comment tag takes its line with it
+    if (sigil) {
+      const lineStart = source.lastIndexOf("\n", match.index - 1) + 1;
+      const rest = source.slice(last).match(/^[ \t]*(\r?\n|$)/);
+      if (rest && lineStart >= start && /^[ \t]*$/.test(source.slice(lineStart, match.index))) {
+        text = source.slice(start, lineStart);
+        last += rest[0].length;
+      }
+    }
+
+    const { children } = open[open.length - 1];
+    if (text) children.push({ text });
+    if (raw) {
+      children.push({ value: raw, escape: false });
+    } else if (!sigil) {
+      children.push({ value: key, escape: true });
+    } else if (sigil === "#" || sigil === "^") {
+      const section = { section: key, inverted: sigil === "^", children: [] };
+      children.push(section);
+      open.push(section);
+    } else if (sigil === "/") {
+      if (open.length === 1 || open[open.length - 1].section !== key) {
+        throw new Error(`Unexpected {{/${key}}} in ${name}`);
+      }
+      open.pop();
+    } else if (sigil === ">") {
+      children.push({ partial: key });
+    }
+  }
+  if (open.length > 1) throw new Error(`Unclosed {{#${open[open.length - 1].section}}} in ${name}`);
+  const text = source.slice(last);
+  if (text) root.children.push({ text });
+  return root.children;
+}
+
+function renderNodes(nodes, stack, options) {
+  let out = "";
+  for (const node of nodes) {
+    if (node.text !== undefined) {
+      out += node.text;
+    } else if (node.value !== undefined) {
+      const value = lookup(stack, node.value);
+      if (value == null) continue;
+      out += node.escape && options.html ? escapeHtml(value) : String(value);
+    } else if (node.section !== undefined) {
+      const value = lookup(stack, node.section);
+      const items = Array.isArray(value) ? value : value ? [value] : [];
+      if (node.inverted) {
+        if (items.length === 0) out += renderNodes(node.children, stack, options);
+      } else {
+        for (const item of items) out += renderNodes(node.children, [...stack, item], options);
+      }
+    } else {
+      out += renderNodes(options.partial(node.partial), stack, options);
+    }
+  }
+  return out;
+}
+
+/** Resolve "a.b" against the innermost value that has "a". */
+function lookup(stack, key) {
+  if (key === ".") return stack[stack.length - 1];
+  const [head, ...path] = key.split(".");
+  for (let i = stack.length - 1; i >= 0; i--) {
+    const scope = stack[i];
+    if (scope != null && typeof scope === "object" && head in scope) {
+      return path.reduce((value, part) => value?.[part], scope[head]);
+    }
+  }
+  return undefined;
+}
+
+/** Escape text for HTML element content and attribute values. */
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
@@ -0,0 +1,99 @@
+/**
+ * Budget ↔ Yelp price tiers
+ *
+ * Yelp rates restaurants $ to $$$$ (roughly per person: $ under $10,
+ * $$ $11-30, $$$ $31-60, $$$$ over $60). The optional Budget slot is
+ * normalized to a tier range in the same notation - "$", "$$" or "$-$$" -
+ * which travels on the SQS message and is turned into a PriceLevel (1-4)
+ * filter by searchOpenSearch().
+ */
+
+// Lowest per-person price of each tier, indexed by PriceLevel - 1
+const TIER_FLOORS = [0, 11, 31, 61];
+
+const BUDGET_WORDS = {
+  "cheap":          "$",
+  "cheap eats":     "$",
+  "inexpensive":    "$",
+  "budget":         "$",
+  "low cost":       "$",
+  "affordable":     "$-$$",
+  "reasonable":     "$-$$",
+  "not too pricey": "$-$$",
+  "mid-range":      "$$",
+  "mid range":      "$$",
+  "midrange":       "$$",
+  "mid-priced":     "$$",
+  "moderate":       "$$",
+  "medium":         "$$",
+  "upscale":        "$$$-$$$$",
+  "fancy":          "$$$-$$$$",
+  "high-end":       "$$$-$$$$",
+  "high end":       "$$$-$$$$",
+  "fine dining":    "$$$-$$$$",
+  "expensive":      "$$$-$$$$",
+  "splurge":        "$$$$",
+};
+const NO_BUDGET = ["none", "no", "any", "anything", "no budget", "doesn't matter", "dont care", "don't care", "whatever"];
+// Words before a dollar amount: "under $30", "about 40 dollars"
+const AMOUNT_PREFIXES = ["under", "less than", "below", "up to", "max", "at most", "around", "about", "roughly"];
+
+// A budget inside a whole request: a budget word (longest first), a dollar
+// amount ("under $30", "40 bucks" - not "around 7" or "up to 6 people"), or a tier like "$$"
+const BUDGET_IN_TEXT = new RegExp([
+  `\\b(?:${[...Object.keys(BUDGET_WORDS), "no budget"].sort((a, b) => b.length - a.length).map(escapeRegExp).join("|")})\\b`,
+  `(?:\\b(?:${AMOUNT_PREFIXES.join("|")})\\s+)?(?:\\$\\d+|\\b\\d+\\s*(?:dollars|bucks)\\b)`,
+  "(?<![\\w$])\\${1,4}(?![\\w$])",
+].join("|"));
+
+/**
+ * Normalize the Budget slot ("cheap", "mid-range", "under $30 a person",
+ * "$$") to a tier range like "$-$$". "" means no budget; null means
+ * something we don't recognize.
+ */
+export function normalizeBudget(raw) {
+  if (!raw) return "";
+  const text = raw.toLowerCase().trim().replace(/\s+(please|per person|a person|a head|each|pp)$/, "");
+  if (NO_BUDGET.includes(text)) return "";
+  if (BUDGET_WORDS[text]) return BUDGET_WORDS[text];
+
+  const tiers = text.match(/^(\${1,4})(?:\s*-\s*(\${1,4}))?$/);
+  if (tiers) {
+    const [a, b] = [tiers[1].length, (tiers[2] || tiers[1]).length];
+    return formatRange(Math.min(a, b), Math.max(a, b));
+  }
+
+  // A dollar amount: "under $30", "about 40 dollars", "$25"
+  const amount = text.match(new RegExp(`^(${AMOUNT_PREFIXES.join("|")})?\\s*\\$?(\\d+)(?:\\s*(?:dollars|bucks))?$`));
+  if (!amount) return null;
+  const dollars = Number(amount[2]);
+  if (dollars <= 0) return null;
+  const level = TIER_FLOORS.filter((floor) => floor < dollars).length;
+  const approximate = ["around", "about", "roughly"].includes(amount[1]);
+  return approximate ? formatRange(level, level) : formatRange(1, level);
+}
+
+/**
+ * Find a budget mentioned anywhere in free text ("cheap thai for 2",
+ * "sushi under $40 tonight"). Returns the words as typed, for
+ * normalizeBudget(), or null.
+ */
+export function findBudgetInText(text) {
+  const match = (text || "").toLowerCase().match(BUDGET_IN_TEXT);
+  return match ? match[0] : null;
+}
+
+/** "$-$$" → { min: 1, max: 2 }; null for no budget. */
+export function budgetRange(budget) {
+  const tiers = (budget || "").match(/^(\${1,4})(?:-(\${1,4}))?$/);
+  if (!tiers) return null;
+  return { min: tiers[1].length, max: (tiers[2] || tiers[1]).length };
+}
+
+function formatRange(min, max) {
+  return min === max ? "$".repeat(min) : `${"$".repeat(min)}-${"$".repeat(max)}`;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
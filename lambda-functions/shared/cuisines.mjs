@@ -0,0 +1,88 @@
+/**
+ * Cuisine catalog
+ *
+ * Reads cuisines.json, the single list of cuisines LF1 accepts, LF2 searches
+ * and the scrapers (which require the JSON directly) collect. Each entry:
+ *   name        - canonical name, stored as Cuisine in DynamoDB and OpenSearch
+ *   display     - optional display name (default: the name, capitalized)
+ *   parent      - optional broader cuisine; asking for the parent also finds
+ *                 restaurants tagged with any of its children
+ *   synonyms    - other ways people ask for it ("sushi" → japanese)
+ *   searchTerms - extra Yelp search terms for yelp-scraper-pass2.js
+ *
+ * Adding a cuisine is a catalog edit: append an entry and re-run the scrapers.
+ */
+
+import { readFileSync } from "fs";
+
+const catalog = JSON.parse(readFileSync(new URL("./cuisines.json", import.meta.url), "utf-8"));
+
+export const CUISINES = catalog.cuisines;
+
+const byName = new Map(CUISINES.map((c) => [c.name, c]));
+
+// Every way to refer to a cuisine → its canonical name
+const ALIASES = new Map();
+for (const c of CUISINES) {
+  for (const alias of [c.name, c.display, ...(c.synonyms || [])].filter(Boolean)) {
+    ALIASES.set(alias.toLowerCase(), c.name);
+  }
+}
+
+/** Every name, display name and synonym, lowercase (candidates for fuzzy matching). */
+export function cuisineAliases() {
+  return [...ALIASES.keys()];
+}
+
+/** Cuisines without a parent, in catalog order (for "I can help with..." lists). */
+export function topLevelCuisines() {
+  return CUISINES.filter((c) => !c.parent).map((c) => c.name);
+}
+
+/**
+ * Resolve what the user typed ("Sushi", "dim sum restaurants", "thai food")
+ * to a canonical cuisine name, or null if the catalog doesn't have it.
+ */
+export function normalizeCuisine(raw) {
+  if (!raw) return null;
+  const text = raw.toLowerCase().trim().replace(/\s+/g, " ");
+  return ALIASES.get(text) ||
+    ALIASES.get(text.replace(/\s+(food|cuisine|restaurants?|places?|spots?)$/, "")) ||
+    null;
+}
+
+/**
+ * Find a cuisine mentioned anywhere in free text, preferring the longest
+ * alias ("thai curry" over "curry"). Returns the canonical name or null.
+ */
+export function findCuisineInText(text) {
+  const t = (text || "").toLowerCase();
+  let best = null;
+  for (const [alias, name] of ALIASES) {
+    if (best && alias.length <= best.alias.length) continue;
+    if (new RegExp(`\\b${escapeRegExp(alias)}\\b`).test(t)) best = { alias, name };
+  }
+  return best ? best.name : null;
+}
+
+/** A cuisine and all of its descendants, e.g. chinese → [chinese, szechuan, cantonese]. */
+export function cuisineWithDescendants(name) {
+  const names = [name];
+  for (let i = 0; i < names.length; i++) {
+    for (const c of CUISINES) {
+      if (c.parent === names[i] && !names.includes(c.name)) names.push(c.name);
+    }
+  }
+  return names;
+}
+
+/** "szechuan" → "Szechuan" (or the catalog's display name). Works for any word. */
+export function displayCuisine(name) {
+  const entry = byName.get((name || "").toLowerCase());
+  if (entry?.display) return entry.display;
+  return (name || "").toLowerCase().replace(/(^|\s)\S/g, (c) => c.toUpperCase());
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
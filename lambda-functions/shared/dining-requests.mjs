@@ -0,0 +1,273 @@
+/**
+ * Dining request lifecycle
+ *
+ * Tracks each queued dining request so users can ask what happened to it
+ * (CheckStatusIntent). LF1 records it as queued; LF2 moves it along:
+ *
+ *   queued → processing → sent | no-results | failed
+ *     ↓          ↓
+ *     ↓       queued (transient failure, will retry)
+ *   cancelled
+ *
+ * Asking for the same thing again in the same Lex session gives the same
+ * RequestId; once the earlier request is finished or cancelled, it's queued
+ * again from scratch.
+ *
+ * While a request is still queued, LF1 can cancel it or change its
+ * MODIFIABLE_FIELDS; LF2 claims it with startProcessing(), which skips
+ * cancelled requests and returns the latest details to send.
+ *
+ * DynamoDB table "dining-requests":
+ *   RequestId  (partition key, String) - LF1's deterministic request ID
+ *   UserId     (String) - LF0's caller identity ("user:<sub>" / "visitor:<id>")
+ *   Status     (String) - one of REQUEST_STATUSES
+ *   Cuisine, Location, NumberOfPeople, DiningDate, DiningTime, Email
+ *   CreatedAt, UpdatedAt (String, ISO timestamps); CreatedAt is the message's QueuedAt
+ *   Detail      (String) - failure reason / retry note
+ *   ResultCount (Number) - restaurants emailed
+ *   Attempts    (Number) - LF2 deliveries so far
+ *   ModifiedAt  (String, ISO timestamp) - last change made from the chat
+ * Global secondary index "UserId-CreatedAt-index" (UserId, CreatedAt) for
+ * "my latest requests".
+ *
+ * Status tracking is best-effort: failures are logged, never thrown. Cancel,
+ * modify and startProcessing do throw, since guessing there could send a
+ * cancelled request.
+ */
+
+import { DynamoDBClient, PutItemCommand, UpdateItemCommand, QueryCommand } from "@aws-sdk/client-dynamodb";
+
+const dynamoClient = new DynamoDBClient({ region: process.env.REGION || "us-east-1" });
+
+const TABLE_NAME = "dining-requests";
+const USER_INDEX = "UserId-CreatedAt-index";
+
+export const REQUEST_STATUSES = ["queued", "processing", "sent", "no-results", "failed", "cancelled"];
+
+// Details a user can still change while the request is queued
+export const MODIFIABLE_FIELDS = ["Cuisine", "NumberOfPeople", "DiningTime"];
+
+// A request in one of these is done with, so the same RequestId can be queued again
+const FINISHED_STATUSES = ["sent", "no-results", "failed", "cancelled"];
+
+/**
+ * Record a request LF1 is about to queue. Returns "recorded", "duplicate"
+ * if the same request is still queued or processing (Lex repeated the
+ * fulfillment), so it shouldn't be queued twice, or "untracked" if the
+ * record couldn't be saved, so that can't be told.
+ */
+export async function recordRequestQueued(request) {
+  const now = new Date().toISOString();
+  const item = {
+    RequestId: { S: request.RequestId },
+    Status:    { S: "queued" },
+    CreatedAt: { S: request.QueuedAt || now },
+    UpdatedAt: { S: now },
+  };
+  for (const field of ["UserId", "Cuisine", "Location", "NumberOfPeople", "DiningDate", "DiningTime", "Email"]) {
+    if (request[field]) item[field] = { S: String(request[field]) };
+  }
+
+  try {
+    await dynamoClient.send(new PutItemCommand({
+      TableName: TABLE_NAME,
+      Item: item,
+      ConditionExpression: `attribute_not_exists(RequestId) OR #status IN (${FINISHED_STATUSES.map((_, i) => `:finished${i}`).join(", ")})`,
+      ExpressionAttributeNames: { "#status": "Status" },
+      ExpressionAttributeValues: Object.fromEntries(FINISHED_STATUSES.map((status, i) => [`:finished${i}`, { S: status }])),
+    }));
+  } catch (err) {
+    if (err.name === "ConditionalCheckFailedException") return "duplicate";
+    console.warn("Request status save skipped:", err.message);
+    return "untracked";
+  }
+  return "recorded";
+}
+
+/** Move a request to `status`, with an optional detail, result count and attempt count. */
+export async function updateRequestStatus(requestId, status, { detail, resultCount, attempts } = {}) {
+  const sets = ["#status = :status", "UpdatedAt = :now"];
+  const values = {
+    ":status": { S: status },
+    ":now":    { S: new Date().toISOString() },
+  };
+  if (detail !== undefined) {
+    sets.push("Detail = :detail");
+    values[":detail"] = { S: detail };
+  }
+  if (resultCount !== undefined) {
+    sets.push("ResultCount = :resultCount");
+    values[":resultCount"] = { N: String(resultCount) };
+  }
+  if (attempts !== undefined) {
+    sets.push("Attempts = :attempts");
+    values[":attempts"] = { N: String(attempts) };
+  }
+
+  try {
+    await dynamoClient.send(new UpdateItemCommand({
+      TableName: TABLE_NAME,
+      Key: { RequestId: { S: requestId } },
+      UpdateExpression: `SET ${sets.join(", ")}`,
+      ExpressionAttributeNames: { "#status": "Status" },
+      ExpressionAttributeValues: values,
+    }));
+    console.log(`Request ${requestId} → ${status}`);
+  } catch (err) {
+    console.warn("Request status update skipped:", err.message);
+  }
+}
+
+/**
+ * A user's most recent requests, newest first (empty if unknown or on error).
+ */
+export async function getLatestRequests(userId, limit = 1) {
+  if (!userId) return [];
+  try {
+    const result = await dynamoClient.send(new QueryCommand({
+      TableName: TABLE_NAME,
+      IndexName: USER_INDEX,
+      KeyConditionExpression: "UserId = :userId",
+      ExpressionAttributeValues: { ":userId": { S: userId } },
+      ScanIndexForward: false,
+      Limit: limit,
+    }));
+    return (result.Items || []).map(fromItem);
+  } catch (err) {
+    console.warn("Request status lookup failed:", err.message);
+    return [];
+  }
+}
+
+/**
+ * Cancel a request LF2 hasn't started on. Returns false if it's no longer queued.
+ */
+export async function cancelRequest(requestId) {
+  try {
+    await dynamoClient.send(new UpdateItemCommand({
+      TableName: TABLE_NAME,
+      Key: { RequestId: { S: requestId } },
+      UpdateExpression: "SET #status = :cancelled, UpdatedAt = :now",
+      ConditionExpression: "#status = :queued",
+      ExpressionAttributeNames: { "#status": "Status" },
+      ExpressionAttributeValues: {
+        ":cancelled": { S: "cancelled" },
+        ":queued":    { S: "queued" },
+        ":now":       { S: new Date().toISOString() },
+      },
+    }));
+    console.log(`Request ${requestId} → cancelled`);
+    return true;
+  } catch (err) {
+    if (err.name === "ConditionalCheckFailedException") return false;
+    throw err;
+  }
+}
+
+/**
+ * Change MODIFIABLE_FIELDS of a queued request, e.g. { DiningTime: "20:00" }.
+ * Returns the updated request, or null if it's no longer queued.
+ */
+export async function modifyRequest(requestId, changes) {
+  const now = new Date().toISOString();
+  const sets = ["UpdatedAt = :now", "ModifiedAt = :now"];
+  const values = { ":queued": { S: "queued" }, ":now": { S: now } };
+  for (const field of MODIFIABLE_FIELDS) {
+    if (changes[field] == null) continue;
+    sets.push(`${field} = :${field}`);
+    values[`:${field}`] = { S: String(changes[field]) };
+  }
+
+  try {
+    const result = await dynamoClient.send(new UpdateItemCommand({
+      TableName: TABLE_NAME,
+      Key: { RequestId: { S: requestId } },
+      UpdateExpression: `SET ${sets.join(", ")}`,
+      ConditionExpression: "#status = :queued",
+      ExpressionAttributeNames: { "#status": "Status" },
+      ExpressionAttributeValues: values,
+      ReturnValues: "ALL_NEW",
+    }));
+    console.log(`Request ${requestId} modified:`, JSON.stringify(changes));
+    return fromItem(result.Attributes);
+  } catch (err) {
+    if (err.name === "ConditionalCheckFailedException") return null;
+    throw err;
+  }
+}
+
+/**
+ * LF2: move a request to "processing" unless it was cancelled, or queued
+ * again since the message was sent (`queuedAt` is the message's QueuedAt;
+ * the newer message is the one to send).
+ * Returns { cancelled: true } or { cancelled: false, request } with the
+ * current details (request is null if the table doesn't exist).
+ */
+export async function startProcessing(requestId, attempts, queuedAt) {
+  const values = {
+    ":processing": { S: "processing" },
+    ":cancelled":  { S: "cancelled" },
+    ":now":        { S: new Date().toISOString() },
+    ":attempts":   { N: String(attempts) },
+  };
+  let condition = "(attribute_not_exists(#status) OR #status <> :cancelled)";
+  if (queuedAt) {
+    condition += " AND (attribute_not_exists(CreatedAt) OR CreatedAt = :queuedAt)";
+    values[":queuedAt"] = { S: queuedAt };
+  }
+  try {
+    const result = await dynamoClient.send(new UpdateItemCommand({
+      TableName: TABLE_NAME,
+      Key: { RequestId: { S: requestId } },
+      UpdateExpression: "SET #status = :processing, UpdatedAt = :now, Attempts = :attempts",
+      ConditionExpression: condition,
+      ExpressionAttributeNames: { "#status": "Status" },
+      ExpressionAttributeValues: values,
+      ReturnValues: "ALL_NEW",
+    }));
+    console.log(`Request ${requestId} → processing`);
+    return { cancelled: false, request: fromItem(result.Attributes) };
+  } catch (err) {
+    if (err.name === "ConditionalCheckFailedException") return { cancelled: true };
+    if (err.name === "ResourceNotFoundException") {
+      console.warn("Request status table missing, sending without checking for changes");
+      return { cancelled: false, request: null };
+    }
+    throw err;
+  }
+}
+
+/** Apply a request's modified details (from startProcessing) to its queued message. */
+export function applyModifications(message, request) {
+  if (!request) return message;
+  const updated = { ...message };
+  for (const field of MODIFIABLE_FIELDS) {
+    const value = request[field.charAt(0).toLowerCase() + field.slice(1)];
+    if (value) updated[field] = value;
+  }
+  // Instant-result picks were chosen for the original details
+  if (MODIFIABLE_FIELDS.some((field) => updated[field] !== message[field])) {
+    delete updated.RestaurantIDs;
+    delete updated.Widened;
+  }
+  return updated;
+}
+
+function fromItem(item) {
+  return {
+    requestId:      item.RequestId.S,
+    status:         item.Status?.S || "queued",
+    cuisine:        item.Cuisine?.S || "",
+    location:       item.Location?.S || "",
+    numberOfPeople: item.NumberOfPeople?.S || "",
+    diningDate:     item.DiningDate?.S || "",
+    diningTime:     item.DiningTime?.S || "",
+    email:          item.Email?.S || "",
+    createdAt:      item.CreatedAt?.S || "",
+    updatedAt:      item.UpdatedAt?.S || "",
+    detail:         item.Detail?.S || "",
+    resultCount:    item.ResultCount ? Number(item.ResultCount.N) : null,
+    attempts:       item.Attempts ? Number(item.Attempts.N) : 0,
+    modifiedAt:     item.ModifiedAt?.S || "",
+  };
+}
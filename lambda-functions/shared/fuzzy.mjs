@@ -0,0 +1,90 @@
+/**
+ * Fuzzy matching for slot values LF1 doesn't recognize exactly
+ *
+ * "Brookyln" → brooklyn, "itallian" → italian. A candidate matches when it's
+ * a small edit away (Damerau-Levenshtein: insertions, deletions,
+ * substitutions and swapped neighbors), or sounds the same (Soundex, word by
+ * word) and is still reasonably close in spelling.
+ */
+
+const MIN_LENGTH = 4;        // shorter inputs ("no", "ny") are too ambiguous to guess at
+const MAX_EDIT_RATIO = 0.25; // typos: up to one edit per four letters
+const MAX_PHONETIC_RATIO = 0.5;
+
+/**
+ * Closest candidate to `input`, or null if nothing is close enough.
+ * Returns { value, distance, phonetic }.
+ */
+export function closestMatch(input, candidates) {
+  const text = normalize(input);
+  if (text.length < MIN_LENGTH) return null;
+  const key = phoneticKey(text);
+
+  let best = null;
+  for (const candidate of candidates) {
+    const value = normalize(candidate);
+    if (value.length < MIN_LENGTH) continue;
+    const distance = editDistance(text, value);
+    const longest = Math.max(text.length, value.length);
+    const phonetic = phoneticKey(value) === key;
+    const close = distance <= Math.max(1, Math.round(longest * MAX_EDIT_RATIO)) ||
+      (phonetic && distance <= Math.ceil(longest * MAX_PHONETIC_RATIO));
+    if (!close) continue;
+    if (!best || distance < best.distance || (distance === best.distance && phonetic && !best.phonetic)) {
+      best = { value: candidate, distance, phonetic };
+    }
+  }
+  return best;
+}
+
+/** Optimal string alignment distance (Levenshtein plus adjacent transpositions). */
+export function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+/** Soundex code of each word, e.g. "upper west side" → "U160 W230 S300". */
+export function phoneticKey(text) {
+  return normalize(text).split(" ").filter(Boolean).map(soundex).join(" ");
+}
+
+// ============================================================
+// HELPERS
+// ============================================================
+const SOUNDEX_DIGITS = {
+  b: 1, f: 1, p: 1, v: 1,
+  c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2,
+  d: 3, t: 3,
+  l: 4,
+  m: 5, n: 5,
+  r: 6,
+};
+
+function soundex(word) {
+  const letters = word.replace(/[^a-z]/g, "");
+  if (!letters) return "";
+  let code = letters[0].toUpperCase();
+  let last = SOUNDEX_DIGITS[letters[0]] || 0;
+  for (const ch of letters.slice(1)) {
+    const digit = SOUNDEX_DIGITS[ch] || 0;
+    if (digit && digit !== last) code += digit;
+    if (ch !== "h" && ch !== "w") last = digit; // h and w don't separate equal codes
+    if (code.length === 4) break;
+  }
+  return code.padEnd(4, "0");
+}
+
+function normalize(text) {
+  return String(text || "").toLowerCase().replace(/[^a-z0-9' ]/g, " ").replace(/\s+/g, " ").trim();
+}
@@ -0,0 +1,118 @@
+/**
+ * Recommendation history
+ *
+ * Remembers which restaurants each user has been sent, so LF2 (and LF1's
+ * instant results) can skip or down-rank recent repeats.
+ *
+ * DynamoDB table "recommendation-history":
+ *   UserKey  (partition key, String) - "user:<id>" for signed-in users, else "email:<address>"
+ *   SentAt   (sort key, String)      - "<ISO timestamp>#<RestaurantID>"
+ *   RestaurantID, Cuisine, Location, Channel ("email" | "chat")
+ *   ExpiresAt (Number, epoch seconds) - enable DynamoDB TTL on this attribute
+ *
+ * Environment Variables:
+ *   HISTORY_COOLDOWN_DAYS - how long a sent restaurant stays "recent" (default: 30)
+ *   HISTORY_MODE          - "exclude" (default) or "downrank"
+ */
+
+import { DynamoDBClient, QueryCommand, PutItemCommand } from "@aws-sdk/client-dynamodb";
+
+const dynamoClient = new DynamoDBClient({ region: process.env.REGION || "us-east-1" });
+
+const TABLE_NAME = "recommendation-history";
+const RETENTION_DAYS = 365;
+
+export const HISTORY_COOLDOWN_DAYS = parseInt(process.env.HISTORY_COOLDOWN_DAYS, 10) || 30;
+export const HISTORY_MODE = process.env.HISTORY_MODE === "downrank" ? "downrank" : "exclude";
+
+/**
+ * History key for a dining request: the signed-in user's ID if we have one,
+ * otherwise the email address the suggestions go to.
+ */
+export function historyKeyFor({ UserId, Email } = {}) {
+  if (UserId?.startsWith("user:")) return UserId;
+  if (Email) return `email:${Email.toLowerCase().trim()}`;
+  return null;
+}
+
+/**
+ * A user's recommendations, newest first.
+ * Returns [{ restaurantId, sentAt, cuisine, location, channel }].
+ */
+export async function getRecommendationHistory(userKey, { since, limit } = {}) {
+  if (!userKey) return [];
+
+  const params = {
+    TableName: TABLE_NAME,
+    KeyConditionExpression: "UserKey = :key",
+    ExpressionAttributeValues: { ":key": { S: userKey } },
+    ScanIndexForward: false,
+  };
+  if (since) {
+    params.KeyConditionExpression += " AND SentAt >= :since";
+    params.ExpressionAttributeValues[":since"] = { S: since.toISOString() };
+  }
+  if (limit) params.Limit = limit;
+
+  const result = await dynamoClient.send(new QueryCommand(params));
+  return (result.Items || []).map((item) => ({
+    restaurantId: item.RestaurantID?.S,
+    sentAt:       item.SentAt?.S.split("#")[0],
+    cuisine:      item.Cuisine?.S || "",
+    location:     item.Location?.S || "",
+    channel:      item.Channel?.S || "email",
+  }));
+}
+
+/**
+ * IDs of restaurants sent to the user within the cooldown window.
+ * Non-fatal: if the table is missing or unreachable, returns an empty set.
+ */
+export async function getRecentlyRecommended(userKey, cooldownDays = HISTORY_COOLDOWN_DAYS) {
+  try {
+    const since = new Date(Date.now() - cooldownDays * 24 * 60 * 60 * 1000);
+    const history = await getRecommendationHistory(userKey, { since });
+    return new Set(history.map((h) => h.restaurantId));
+  } catch (err) {
+    console.warn("Recommendation history lookup skipped:", err.message);
+    return new Set();
+  }
+}
+
+/** Record restaurants we just sent. Non-fatal, like the other extra-credit writes. */
+export async function recordRecommendations(userKey, restaurantIds, { cuisine, location, channel = "email" } = {}) {
+  if (!userKey || restaurantIds.length === 0) return;
+
+  const now = new Date();
+  const expiresAt = Math.floor(now.getTime() / 1000) + RETENTION_DAYS * 24 * 60 * 60;
+  try {
+    await Promise.all(restaurantIds.map((id) =>
+      dynamoClient.send(new PutItemCommand({
+        TableName: TABLE_NAME,
+        Item: {
+          UserKey:      { S: userKey },
+          SentAt:       { S: `${now.toISOString()}#${id}` },
+          RestaurantID: { S: id },
+          Cuisine:      { S: cuisine || "" },
+          Location:     { S: location || "" },
+          Channel:      { S: channel },
+          ExpiresAt:    { N: String(expiresAt) },
+        },
+      }))
+    ));
+    console.log(`Recorded ${restaurantIds.length} recommendations for`, userKey);
+  } catch (err) {
+    console.warn("Recommendation history save skipped:", err.message);
+  }
+}
+
+/**
+ * Apply HISTORY_MODE to ranking candidates.
+ * "exclude" drops recently sent restaurants unless that would leave fewer
+ * than `needed`; either way the ranking's history scorer down-ranks them.
+ */
+export function applyHistory(candidates, recent, needed) {
+  if (HISTORY_MODE !== "exclude" || recent.size === 0) return candidates;
+  const fresh = candidates.filter((c) => !recent.has(c.id));
+  return fresh.length >= needed ? fresh : candidates;
+}
@@ -0,0 +1,67 @@
+/**
+ * Opening hours
+ *
+ * Restaurants in yelp-restaurants can carry Yelp's opening hours (see
+ * other-scripts/yelp-details.js):
+ *   hours        - [{ day, start, end, overnight }]: day 0 = Monday (Yelp's
+ *                  numbering), start/end "HHMM"; overnight means end is on
+ *                  the next day
+ *   specialHours - [{ date, closed, start?, end?, overnight? }]: holidays and
+ *                  one-off changes, which replace the regular hours that day
+ *
+ * Hours, DiningDate and DiningTime are all New York wall-clock times
+ * (America/New_York), so they're compared as they are; the weekday comes from
+ * the date itself, never from the Lambda's UTC clock.
+ */
+
+/**
+ * Is the restaurant open at `date` ("2026-03-05") and `time` ("22:30")?
+ * Returns true or false, or null when its hours are unknown.
+ * Covers late-night hours that started the day before (Friday 18:00-02:00
+ * is still open at 01:00 on Saturday).
+ */
+export function isOpenAt({ hours, specialHours } = {}, date, time) {
+  if (!hours?.length && !specialHours?.length) return null;
+  const minutes = toMinutes(time);
+  if (minutes == null || !/^\d{4}-\d{2}-\d{2}$/.test(date || "")) return null;
+
+  const openToday = openingsOn({ hours, specialHours }, date).some((o) =>
+    minutes >= toMinutes(o.start) && (crossesMidnight(o) || minutes < toMinutes(o.end)));
+  if (openToday) return true;
+
+  return openingsOn({ hours, specialHours }, previousDate(date)).some((o) =>
+    crossesMidnight(o) && minutes < toMinutes(o.end));
+}
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+/** The openings that apply on a date: its special hours if any, else that weekday's regular hours. */
+function openingsOn({ hours = [], specialHours = [] }, date) {
+  const special = specialHours.find((s) => s.date === date);
+  if (special?.closed) return [];
+  if (special?.start && special?.end) return [special];
+  return hours.filter((h) => h.day === yelpWeekday(date));
+}
+
+function crossesMidnight(opening) {
+  return Boolean(opening.overnight) || toMinutes(opening.end) <= toMinutes(opening.start);
+}
+
+/** "2230", "22:30" → 1350 (minutes after midnight), or null. */
+function toMinutes(time) {
+  const match = String(time || "").match(/^(\d{1,2}):?(\d{2})$/);
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+/** 0 = Monday ... 6 = Sunday, for a calendar date. */
+function yelpWeekday(date) {
+  return (new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7;
+}
+
+function previousDate(date) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - 1);
+  return d.toISOString().slice(0, 10);
+}
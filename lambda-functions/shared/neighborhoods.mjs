@@ -0,0 +1,64 @@
+/**
+ * NYC neighborhood gazetteer
+ *
+ * Reads nyc-neighborhoods.json, shared with the scrapers (which tag each
+ * restaurant's Neighborhood from it, see other-scripts/nyc-boroughs.js).
+ * Each entry:
+ *   name    - canonical name, stored lowercase as Neighborhood in DynamoDB and OpenSearch
+ *   borough - the canonical Location it belongs to
+ *   aliases - other names people use ("uws", "fidi", "bed-stuy")
+ *   zips    - ZIP codes it covers (used to tag restaurants)
+ *   center  - { lat, lon }, the origin for proximity ranking
+ */
+
+import { readFileSync } from "fs";
+
+const gazetteer = JSON.parse(readFileSync(new URL("./nyc-neighborhoods.json", import.meta.url), "utf-8"));
+
+export const NEIGHBORHOODS = gazetteer.neighborhoods;
+
+// Every name and alias → entry
+const ALIASES = new Map();
+for (const n of NEIGHBORHOODS) {
+  for (const alias of [n.name, ...(n.aliases || [])]) ALIASES.set(alias, n);
+}
+
+/** Look up a neighborhood by name or alias ("The Upper West Side", "UWS"). Returns the entry or null. */
+export function findNeighborhood(raw) {
+  if (!raw) return null;
+  const key = raw.toLowerCase().trim().replace(/\s+/g, " ").replace(/^the /, "").replace(/,?\s*(ny|nyc|new york)$/, "");
+  return ALIASES.get(key) || ALIASES.get(`the ${key}`) || null;
+}
+
+/**
+ * Find a neighborhood mentioned anywhere in free text ("ramen in the east
+ * village"), preferring the longest alias. Returns the entry or null.
+ */
+export function findNeighborhoodInText(text) {
+  const t = (text || "").toLowerCase();
+  let best = null;
+  for (const [alias, entry] of ALIASES) {
+    if (best && alias.length <= best.alias.length) continue;
+    if (new RegExp(`(^|[^a-z])${escapeRegExp(alias)}($|[^a-z])`).test(t)) best = { alias, entry };
+  }
+  return best ? best.entry : null;
+}
+
+/** Every name and alias (candidates for fuzzy matching). */
+export function neighborhoodAliases() {
+  return [...ALIASES.keys()];
+}
+
+/** A neighborhood's center as { lat, lon }, or null if unknown. */
+export function neighborhoodCenter(name) {
+  return findNeighborhood(name)?.center || null;
+}
+
+/** "hell's kitchen" → "Hell's Kitchen". */
+export function displayNeighborhood(name) {
+  return (name || "").replace(/(^|[\s-])\S/g, (c) => c.toUpperCase());
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
@@ -0,0 +1,74 @@
+/**
+ * Places a user can search near ("near Union Square", "near 10003")
+ *
+ * Resolves the optional Near slot to a point, from three sources:
+ *   - nyc-landmarks.json: well-known landmarks, stations and venues
+ *     (name, optional display name, borough, aliases, center)
+ *   - ZIP codes: the center of the gazetteer neighborhoods covering it
+ *     (an approximation - good enough for a walking radius)
+ *   - neighborhoods: the gazetteer's center (see neighborhoods.mjs)
+ */
+
+import { readFileSync } from "fs";
+import { NEIGHBORHOODS, findNeighborhood, neighborhoodAliases, displayNeighborhood } from "./neighborhoods.mjs";
+
+const { landmarks: LANDMARKS } = JSON.parse(readFileSync(new URL("./nyc-landmarks.json", import.meta.url), "utf-8"));
+
+// Every landmark name and alias → entry
+const ALIASES = new Map();
+for (const l of LANDMARKS) {
+  for (const alias of [l.name, ...(l.aliases || [])]) ALIASES.set(alias, l);
+}
+
+const KM_PER_MILE = 1.609344;
+
+/**
+ * Resolve what the user said to { name, borough, lat, lon }, or null if we
+ * don't know the place. `name` is canonical (a landmark or neighborhood
+ * name, or the ZIP code), so it can travel in the SQS message and be
+ * resolved again by LF2.
+ */
+export function resolvePlace(raw) {
+  if (!raw) return null;
+  const text = raw.toLowerCase().trim().replace(/\s+/g, " ").replace(/,?\s*(ny|nyc|new york)$/, "");
+
+  const zip = text.match(/^(?:zip(?: code)? )?(\d{5})$/);
+  if (zip) {
+    const covering = NEIGHBORHOODS.filter((n) => n.zips.includes(zip[1]));
+    if (covering.length === 0) return null;
+    return {
+      name: zip[1],
+      borough: covering[0].borough,
+      lat: average(covering.map((n) => n.center.lat)),
+      lon: average(covering.map((n) => n.center.lon)),
+    };
+  }
+
+  const landmark = ALIASES.get(text) || ALIASES.get(text.replace(/^the /, ""));
+  if (landmark) return { name: landmark.name, borough: landmark.borough, ...landmark.center };
+
+  const neighborhood = findNeighborhood(text);
+  if (neighborhood) return { name: neighborhood.name, borough: neighborhood.borough, ...neighborhood.center };
+  return null;
+}
+
+/** Every landmark and neighborhood name and alias (candidates for fuzzy matching). */
+export function placeAliases() {
+  return [...ALIASES.keys(), ...neighborhoodAliases()];
+}
+
+/** "union square" → "Union Square", "msg" → "Penn Station", "the met" → "the Met", "10003" → "10003". */
+export function displayPlace(name) {
+  const landmark = ALIASES.get((name || "").toLowerCase());
+  if (landmark) return landmark.display || displayNeighborhood(landmark.name);
+  return displayNeighborhood(findNeighborhood(name)?.name || name);
+}
+
+/** 0.42 → "0.3 mi" (never less than 0.1). */
+export function formatDistance(km) {
+  return `${Math.max(0.1, km / KM_PER_MILE).toFixed(1)} mi`;
+}
+
+function average(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
@@ -0,0 +1,178 @@
+/**
+ * Restaurant ranking
+ *
+ * Scores the OpenSearch candidates and picks the top N, replacing the old
+ * random shuffle. Each scorer returns a value in [0, 1]; the final score is
+ * the weighted sum. Picks are then drawn from the scored list with a little
+ * controlled randomness (and a penalty for repeating a neighborhood) so the
+ * same request doesn't always get the same three places.
+ *
+ * Scorers:
+ *   rating    - Bayesian-smoothed rating (few reviews pull toward the mean)
+ *   reviews   - review volume, log-scaled against the busiest candidate
+ *   proximity - closeness to context.origin { lat, lon }, if known
+ *   history   - 1 for restaurants the user hasn't been sent before
+ *   budget    - 1 inside context.budget { min, max } price levels, 0.5 if
+ *               the price (or the budget) is unknown
+ *   groups    - for a context.partySize of LARGE_PARTY or more: good for
+ *               groups and takes reservations (0.5 each when unknown);
+ *               neutral for smaller parties
+ *
+ * Environment Variables:
+ *   RANKING_WEIGHTS     - JSON overriding DEFAULT_WEIGHTS, e.g. {"rating":0.6,"reviews":0.1}
+ *   RANKING_TEMPERATURE - randomness when picking (0 = strictly by score, default 0.1)
+ */
+
+export const DEFAULT_WEIGHTS = {
+  rating: 0.5,
+  reviews: 0.2,
+  proximity: 0.15,
+  history: 0.15,
+  budget: 0.1,
+  groups: 0.15,
+};
+
+// Parties this big need a group-friendly place (restaurants.mjs filters out the ones that aren't)
+export const LARGE_PARTY = 6;
+
+export const DEFAULT_OPTIONS = {
+  priorReviews: 50,        // Bayesian prior strength, in "virtual reviews"
+  priorRating: 3.8,        // used when candidates don't give us a mean
+  proximityDecayKm: 1.5,   // proximity score halves roughly every ~1 km
+  temperature: 0.1,
+  neighborhoodPenalty: 0.1,
+};
+
+export const SCORERS = {
+  rating: (c, ctx, stats, opts) => {
+    const v = c.reviewCount;
+    const m = opts.priorReviews;
+    const smoothed = (v / (v + m)) * c.rating + (m / (v + m)) * stats.meanRating;
+    return smoothed / 5;
+  },
+  reviews: (c, ctx, stats) =>
+    stats.maxReviews > 0 ? Math.log1p(c.reviewCount) / Math.log1p(stats.maxReviews) : 0,
+  proximity: (c, ctx, stats, opts) => {
+    if (!ctx.origin || c.lat == null || c.lon == null) return 0.5; // unknown → neutral
+    return Math.exp(-distanceKm(ctx.origin, c) / opts.proximityDecayKm);
+  },
+  history: (c, ctx) =>
+    ctx.previouslyRecommended?.has(c.id) ? 0 : 1,
+  budget: (c, ctx) => {
+    if (!ctx.budget || c.priceLevel == null) return 0.5; // unknown → neutral
+    return c.priceLevel >= ctx.budget.min && c.priceLevel <= ctx.budget.max ? 1 : 0;
+  },
+  groups: (c, ctx) => {
+    if (!(ctx.partySize >= LARGE_PARTY)) return 0.5; // small parties fit almost anywhere
+    const signal = (known) => (known == null ? 0.5 : known ? 1 : 0);
+    return (signal(c.goodForGroups) + signal(c.takesReservations)) / 2;
+  },
+};
+
+/**
+ * Score every candidate. Returns candidates sorted best-first, each with
+ * `score` and a per-scorer `breakdown` (handy for logging and tuning).
+ *
+ * Candidates: { id, rating, reviewCount, lat?, lon?, neighborhood?, priceLevel?, goodForGroups?, takesReservations? }
+ * Context:    { origin?: { lat, lon }, previouslyRecommended?: Set<id>, budget?: { min, max }, partySize? }
+ * `weights` may include names from `scorers` that aren't built in.
+ */
+export function scoreCandidates(candidates, context = {}, { weights = loadWeights(), scorers = SCORERS, options = {} } = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const stats = candidateStats(candidates, opts);
+
+  return candidates
+    .map((c) => {
+      const breakdown = {};
+      let score = 0;
+      for (const [name, weight] of Object.entries(weights)) {
+        if (!weight || !scorers[name]) continue;
+        breakdown[name] = clamp01(scorers[name](c, context, stats, opts));
+        score += weight * breakdown[name];
+      }
+      return { ...c, score, breakdown };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Pick `n` candidates: score them, then sample without replacement with
+ * probability ∝ exp(score / temperature), penalizing neighborhoods already
+ * picked. `random` is injectable so results are reproducible in tests.
+ */
+export function rankCandidates(candidates, n, context = {}, { random = Math.random, ...config } = {}) {
+  const opts = { ...DEFAULT_OPTIONS, temperature: loadTemperature(), ...config.options };
+  let pool = scoreCandidates(candidates, context, { ...config, options: opts });
+  const picked = [];
+
+  while (picked.length < n && pool.length > 0) {
+    const seen = new Set(picked.map((p) => p.neighborhood).filter(Boolean));
+    const adjusted = pool.map((c) =>
+      c.score - (c.neighborhood && seen.has(c.neighborhood) ? opts.neighborhoodPenalty : 0));
+
+    let index;
+    if (opts.temperature <= 0) {
+      index = adjusted.indexOf(Math.max(...adjusted));
+    } else {
+      const best = Math.max(...adjusted);
+      const weights = adjusted.map((s) => Math.exp((s - best) / opts.temperature));
+      index = sampleIndex(weights, random);
+    }
+    picked.push(pool[index]);
+    pool = pool.filter((_, i) => i !== index);
+  }
+  return picked;
+}
+
+// ============================================================
+// HELPERS
+// ============================================================
+function candidateStats(candidates, opts) {
+  const rated = candidates.filter((c) => c.reviewCount > 0);
+  const totalReviews = rated.reduce((sum, c) => sum + c.reviewCount, 0);
+  return {
+    meanRating: totalReviews > 0
+      ? rated.reduce((sum, c) => sum + c.rating * c.reviewCount, 0) / totalReviews
+      : opts.priorRating,
+    maxReviews: Math.max(0, ...candidates.map((c) => c.reviewCount)),
+  };
+}
+
+function sampleIndex(weights, random) {
+  const total = weights.reduce((a, b) => a + b, 0);
+  let r = random() * total;
+  for (let i = 0; i < weights.length; i++) {
+    r -= weights[i];
+    if (r <= 0) return i;
+  }
+  return weights.length - 1;
+}
+
+/** Great-circle distance in km between two { lat, lon } points. */
+export function distanceKm(a, b) {
+  const toRad = (d) => (d * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+function loadWeights() {
+  if (!process.env.RANKING_WEIGHTS) return DEFAULT_WEIGHTS;
+  try {
+    return { ...DEFAULT_WEIGHTS, ...JSON.parse(process.env.RANKING_WEIGHTS) };
+  } catch (err) {
+    console.warn("Ignoring invalid RANKING_WEIGHTS:", err.message);
+    return DEFAULT_WEIGHTS;
+  }
+}
+
+function loadTemperature() {
+  const t = parseFloat(process.env.RANKING_TEMPERATURE);
+  return isNaN(t) ? DEFAULT_OPTIONS.temperature : t;
+}
+
+function clamp01(x) {
+  return Number.isFinite(x) ? Math.min(1, Math.max(0, x)) : 0;
+}
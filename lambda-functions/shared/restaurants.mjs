@@ -0,0 +1,271 @@
+/**
+ * Shared restaurant lookup (OpenSearch → DynamoDB)
+ * 
+ * Used by LF2 for the emailed suggestions and by LF1 for instant in-chat
+ * results, so both paths pick restaurants the same way. Candidates are
+ * ordered by ranking.mjs; restaurants closed at the requested time are
+ * skipped (hours.mjs).
+ * 
+ * Environment Variables:
+ *   OPENSEARCH_ENDPOINT    - OpenSearch domain endpoint (e.g., https://xxx.us-east-1.es.amazonaws.com)
+ *   OPENSEARCH_USERNAME    - OpenSearch master username
+ *   OPENSEARCH_PASSWORD    - OpenSearch master password
+ *   WALKING_RADIUS_KM      - How far from a "near" place to look (default: 1.2, about a 15-minute walk)
+ *   REGION                 - AWS region (default: us-east-1)
+ */
+
+import { DynamoDBClient, GetItemCommand } from "@aws-sdk/client-dynamodb";
+import { budgetRange } from "./budget.mjs";
+import { normalizeCuisine, cuisineWithDescendants } from "./cuisines.mjs";
+import { isOpenAt } from "./hours.mjs";
+import { LARGE_PARTY } from "./ranking.mjs";
+import https from "https";
+import http from "http";
+
+const dynamoClient = new DynamoDBClient({ region: process.env.REGION || "us-east-1" });
+
+// ============================================================
+// OPENSEARCH QUERY
+// ============================================================
+const BOROUGHS = ["manhattan", "brooklyn", "queens", "bronx", "staten island"];
+const WALKING_RADIUS_KM = Number(process.env.WALKING_RADIUS_KM) || 1.2;
+
+/**
+ * Find restaurants for a cuisine (or any of its sub-cuisines in
+ * cuisines.json), restricted to the requested borough.
+ * Returns ranking candidates: { id, rating, reviewCount, lat, lon, neighborhood,
+ * priceLevel, goodForGroups, takesReservations, capacity, distanceKm?, widened? }.
+ * `location` is LF1's canonical Location (a borough); `neighborhood` (a
+ * gazetteer name, see neighborhoods.mjs) narrows it down, topped up from
+ * the rest of the borough when the neighborhood has fewer than `minResults`;
+ * those extra candidates have `widened: true`, so replies don't claim they're
+ * in the neighborhood.
+ * `near` ({ lat, lon }, see places.mjs) replaces both: only restaurants
+ * within WALKING_RADIUS_KM of it, nearest first, each with its distanceKm.
+ * `dietary` (e.g. ["vegan", "gluten-free"]) only keeps restaurants offering all of them.
+ * `budget` (e.g. "$-$$", see budget.mjs) drops restaurants outside that price
+ * range; ones Yelp has no price for are kept.
+ * `partySize` drops restaurants with fewer seats (when their Capacity is
+ * known) and, for a LARGE_PARTY, ones known not to be good for groups.
+ */
+export async function searchOpenSearch(cuisine, { location, neighborhood, near, dietary = [], budget, partySize, minResults = 3 } = {}) {
+  const endpoint = process.env.OPENSEARCH_ENDPOINT;
+  if (!endpoint) {
+    throw new Error("OPENSEARCH_ENDPOINT not configured");
+  }
+
+  // A walking radius can cross borough lines (FiDi ↔ DUMBO), so "near" doesn't filter by borough
+  const borough = (location || "").toLowerCase().trim();
+  const filter = BOROUGHS.includes(borough) && !near ? [{ term: { Borough: borough } }] : [];
+  for (const option of dietary) {
+    filter.push({ term: { DietaryOptions: option } });
+  }
+  const range = budgetRange(budget);
+  if (range) {
+    filter.push({
+      bool: {
+        should: [
+          { range: { PriceLevel: { gte: range.min, lte: range.max } } },
+          { bool: { must_not: [{ exists: { field: "PriceLevel" } }] } },
+        ],
+        minimum_should_match: 1,
+      },
+    });
+  }
+  const party = parseInt(partySize, 10);
+  if (party > 0) {
+    filter.push({
+      bool: {
+        should: [
+          { range: { Capacity: { gte: party } } },
+          { bool: { must_not: [{ exists: { field: "Capacity" } }] } },
+        ],
+        minimum_should_match: 1,
+      },
+    });
+  }
+  if (party >= LARGE_PARTY) {
+    filter.push({ bool: { must_not: [{ term: { GoodForGroups: false } }] } });
+  }
+
+  // Search for restaurants matching the cuisine in the requested borough
+  const cuisines = cuisineWithDescendants(normalizeCuisine(cuisine) || cuisine.toLowerCase());
+  const query = (extraFilter = []) => ({
+    size: 50, // Get up to 50 matches, the ranking stage picks the best 3
+    query: {
+      bool: {
+        must: [{ terms: { Cuisine: cuisines } }],
+        filter: [...filter, ...extraFilter],
+      },
+    },
+  });
+
+  if (near) {
+    const point = { lat: near.lat, lon: near.lon };
+    return runSearch(endpoint, {
+      ...query([{ geo_distance: { distance: `${WALKING_RADIUS_KM}km`, Coordinates: point } }]),
+      sort: [{ _geo_distance: { Coordinates: point, order: "asc", unit: "km" } }],
+    });
+  }
+  if (!neighborhood) {
+    return runSearch(endpoint, query());
+  }
+  const nearby = await runSearch(endpoint, query([{ term: { Neighborhood: neighborhood.toLowerCase() } }]));
+  if (nearby.length >= minResults) return nearby;
+  const wider = await runSearch(endpoint, query());
+  const extra = wider.filter((c) => !nearby.some((n) => n.id === c.id));
+  return [...nearby, ...extra.map((c) => ({ ...c, widened: true }))];
+}
+
+/** POST a _search body to the restaurants index and return ranking candidates. */
+async function runSearch(endpoint, query) {
+  const username = process.env.OPENSEARCH_USERNAME;
+  const password = process.env.OPENSEARCH_PASSWORD;
+  const url = new URL(`${endpoint}/restaurants/_search`);
+  const auth = Buffer.from(`${username}:${password}`).toString("base64");
+
+  const responseBody = await makeHttpRequest({
+    hostname: url.hostname,
+    port: url.port || 443,
+    path: url.pathname,
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Basic ${auth}`,
+    },
+    body: JSON.stringify(query),
+    protocol: url.protocol,
+  });
+
+  const result = JSON.parse(responseBody);
+
+  if (!result.hits || !result.hits.hits) {
+    return [];
+  }
+
+  // Turn the hits into ranking candidates (see ranking.mjs)
+  return result.hits.hits.map((hit) => toCandidate(hit._source, hit.sort));
+}
+
+/**
+ * OpenSearch document → ranking candidate. Older documents may lack the numeric fields.
+ * `sort` is the hit's sort values; for a "near" search, its distance in km.
+ */
+function toCandidate(doc, sort) {
+  const lat = parseFloat(doc.Latitude);
+  const lon = parseFloat(doc.Longitude);
+  return {
+    id: doc.RestaurantID,
+    rating: Number(doc.Rating) || 0,
+    reviewCount: Number(doc.NumberOfReviews) || 0,
+    lat: isNaN(lat) ? null : lat,
+    lon: isNaN(lon) ? null : lon,
+    neighborhood: doc.Neighborhood || null,
+    priceLevel: Number(doc.PriceLevel) || null,
+    goodForGroups: doc.GoodForGroups ?? null,
+    takesReservations: doc.TakesReservations ?? null,
+    capacity: Number(doc.Capacity) || null,
+    ...(Array.isArray(sort) && typeof sort[0] === "number" && { distanceKm: sort[0] }),
+  };
+}
+
+// ============================================================
+// DYNAMODB LOOKUP
+// ============================================================
+
+/**
+ * Walk ranked candidates in order and fetch their details until `count`
+ * are open at `date` / `time` (New York time). Restaurants without hours
+ * are kept. Returns [{ candidate, restaurant }].
+ */
+export async function pickOpenRestaurants(ranked, count, { date, time } = {}) {
+  const picked = [];
+  let next = 0;
+  while (next < ranked.length && picked.length < count) {
+    // Fetch only as many as are still missing: usually the first batch is all open
+    const batch = ranked.slice(next, next + count - picked.length);
+    next += batch.length;
+    const restaurants = await Promise.all(batch.map((c) => getRestaurantFromDynamoDB(c.id)));
+    restaurants.forEach((restaurant, j) => {
+      if (isOpenAt(restaurant, date, time) === false) {
+        console.log(`Skipping ${batch[j].id}: closed on ${date} at ${time}`);
+      } else {
+        picked.push({ candidate: batch[j], restaurant });
+      }
+    });
+  }
+  return picked;
+}
+
+export async function getRestaurantFromDynamoDB(businessId) {
+  const result = await dynamoClient.send(
+    new GetItemCommand({
+      TableName: "yelp-restaurants",
+      Key: {
+        BusinessID: { S: businessId },
+      },
+    })
+  );
+
+  if (!result.Item) {
+    return { name: "Unknown Restaurant", address: "Address not available" };
+  }
+
+  return {
+    name: result.Item.Name?.S || "Unknown Restaurant",
+    address: result.Item.Address?.S || "Address not available",
+    rating: result.Item.Rating?.N || "N/A",
+    numberOfReviews: result.Item.NumberOfReviews?.N || "N/A",
+    zipCode: result.Item.ZipCode?.S || "",
+    price: result.Item.Price?.S || "",
+    lat: parseFloat(result.Item.Coordinates?.M?.Latitude?.S) || null,
+    lon: parseFloat(result.Item.Coordinates?.M?.Longitude?.S) || null,
+    hours: (result.Item.Hours?.L || []).map(({ M }) => ({
+      day: Number(M.Day.N),
+      start: M.Start.S,
+      end: M.End.S,
+      overnight: Boolean(M.Overnight?.BOOL),
+    })),
+    specialHours: (result.Item.SpecialHours?.L || []).map(({ M }) => ({
+      date: M.Date.S,
+      closed: Boolean(M.Closed?.BOOL),
+      ...(M.Start && { start: M.Start.S, end: M.End.S, overnight: Boolean(M.Overnight?.BOOL) }),
+    })),
+  };
+}
+
+// ============================================================
+// HELPER FUNCTIONS
+// ============================================================
+
+/**
+ * Make an HTTPS/HTTP request (used for OpenSearch queries)
+ */
+function makeHttpRequest(options) {
+  return new Promise((resolve, reject) => {
+    const protocol = options.protocol === "http:" ? http : https;
+    const body = options.body;
+    delete options.body;
+    delete options.protocol;
+
+    const req = protocol.request(options, (res) => {
+      let data = "";
+      res.on("data", (chunk) => (data += chunk));
+      res.on("end", () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve(data);
+        } else {
+          const error = new Error(`OpenSearch request failed: ${res.statusCode} - ${data}`);
+          error.statusCode = res.statusCode;
+          reject(error);
+        }
+      });
+    });
+
+    req.on("error", reject);
+    if (body) {
+      req.write(body);
+    }
+    req.end();
+  });
+}
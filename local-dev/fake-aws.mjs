@@ -0,0 +1,555 @@
+/**
+ * In-memory stand-ins for the AWS services the Lambdas use.
+ *
+ * installFakeAws() patches `send` on the SDK client classes, so the
+ * clients LF1/LF2 create at module load talk to these fakes instead of
+ * AWS. Nothing in the Lambda code changes between local and deployed runs.
+ *
+ *   SQS        - one in-memory queue with visibility timeouts; server.mjs can
+ *                also deliver it to LF2 like an event source mapping
+ *   DynamoDB   - in-memory tables with Get/Put/Update/Delete/Scan, key-condition
+ *                Query (tables and GSIs) and condition expressions
+ *                (yelp-restaurants is seeded from a JSON file)
+ *   SES        - raw emails are parsed and written to the outbox directory
+ *                (.json with the attachments, .html, and the .eml itself);
+ *                recipients at *.invalid domains are rejected like unverified
+ *                sandbox addresses
+ *   OpenSearch - searchIndex() evaluates the subset of the query DSL LF2 uses;
+ *                server.mjs exposes it over HTTP
+ */
+
+import { SQSClient } from "@aws-sdk/client-sqs";
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { SESClient } from "@aws-sdk/client-ses";
+import { randomUUID } from "crypto";
+import fs from "fs";
+import path from "path";
+import nycBoroughs from "../other-scripts/nyc-boroughs.js";
+import { distanceKm } from "../lambda-functions/shared/ranking.mjs";
+
+// Key schema of every table the Lambdas use: partition key, plus sort key if any
+const TABLE_KEYS = {
+  "yelp-restaurants": ["BusinessID"],
+  "user-state": ["UserId"],
+  "recommendation-history": ["UserKey", "SentAt"],
+  "dining-request-dlq": ["MessageId"],
+  "processed-requests": ["RequestId"],
+  "dining-requests": ["RequestId"],
+};
+
+// Global secondary indexes: table → index name → [partition key, sort key]
+const TABLE_INDEXES = {
+  "dining-requests": { "UserId-CreatedAt-index": ["UserId", "CreatedAt"] },
+};
+
+const DEFAULT_VISIBILITY_TIMEOUT_S = 30;
+
+/**
+ * Patch the SDK clients and load restaurant data.
+ * Returns the fake services so the runner (and tests) can inspect them.
+ */
+export function installFakeAws({ restaurantsFile, outboxDir }) {
+  const sqs = new FakeSqs();
+  const dynamo = new FakeDynamo();
+  const ses = new FakeSes(outboxDir);
+  const index = [];
+
+  const restaurants = JSON.parse(fs.readFileSync(restaurantsFile, "utf-8"));
+  for (const r of restaurants) {
+    dynamo.putItem("yelp-restaurants", toDynamoItem(r));
+    index.push(toIndexDocument(r));
+  }
+  console.log(`[local] Loaded ${restaurants.length} restaurants from ${restaurantsFile}`);
+
+  SQSClient.prototype.send = async (command) => sqs.send(command);
+  DynamoDBClient.prototype.send = async (command) => dynamo.send(command);
+  SESClient.prototype.send = async (command) => ses.send(command);
+
+  return { sqs, dynamo, ses, index };
+}
+
+// ============================================================
+// SQS
+// ============================================================
+class FakeSqs {
+  constructor() {
+    this.messages = []; // { MessageId, Body, ReceiptHandle, visibleAt, receiveCount }
+  }
+
+  send(command) {
+    const input = command.input;
+    switch (command.constructor.name) {
+      case "SendMessageCommand": {
+        const message = { MessageId: randomUUID(), Body: input.MessageBody, visibleAt: 0, receiveCount: 0 };
+        this.messages.push(message);
+        return { MessageId: message.MessageId };
+      }
+      case "ReceiveMessageCommand":
+        return { Messages: this.receive(input.MaxNumberOfMessages || 1, input.VisibilityTimeout) };
+      case "DeleteMessageCommand":
+        this.delete(input.ReceiptHandle);
+        return {};
+      case "ChangeMessageVisibilityCommand": {
+        const message = this.messages.find((m) => m.ReceiptHandle === input.ReceiptHandle);
+        if (message) message.visibleAt = Date.now() + input.VisibilityTimeout * 1000;
+        return {};
+      }
+      default:
+        throw unsupported("SQS", command);
+    }
+  }
+
+  /** Receive up to `max` visible messages, hiding them for the visibility timeout. */
+  receive(max, visibilityTimeout = DEFAULT_VISIBILITY_TIMEOUT_S) {
+    const now = Date.now();
+    const batch = this.messages.filter((m) => m.visibleAt <= now).slice(0, max);
+    for (const m of batch) {
+      m.visibleAt = now + visibilityTimeout * 1000;
+      m.receiveCount++;
+      m.ReceiptHandle = randomUUID();
+    }
+    return batch.map((m) => ({
+      MessageId: m.MessageId,
+      Body: m.Body,
+      ReceiptHandle: m.ReceiptHandle,
+      Attributes: { ApproximateReceiveCount: String(m.receiveCount) },
+    }));
+  }
+
+  delete(receiptHandle) {
+    this.messages = this.messages.filter((m) => m.ReceiptHandle !== receiptHandle);
+  }
+}
+
+// ============================================================
+// DYNAMODB
+// ============================================================
+class FakeDynamo {
+  constructor() {
+    this.tables = new Map(Object.keys(TABLE_KEYS).map((name) => [name, new Map()]));
+  }
+
+  send(command) {
+    const input = command.input;
+    switch (command.constructor.name) {
+      case "GetItemCommand": {
+        const item = this.table(input.TableName).get(this.keyOf(input.TableName, input.Key));
+        return item ? { Item: structuredClone(item) } : {};
+      }
+      case "PutItemCommand":
+        this.checkCondition(input, this.table(input.TableName).get(this.keyOf(input.TableName, input.Item)));
+        this.putItem(input.TableName, input.Item);
+        return {};
+      case "UpdateItemCommand": {
+        const key = this.keyOf(input.TableName, input.Key);
+        const existing = this.table(input.TableName).get(key);
+        this.checkCondition(input, existing);
+        const item = applyUpdate(structuredClone(existing || input.Key), input);
+        this.table(input.TableName).set(key, item);
+        return input.ReturnValues === "ALL_NEW" ? { Attributes: structuredClone(item) } : {};
+      }
+      case "DeleteItemCommand": {
+        const key = this.keyOf(input.TableName, input.Key);
+        this.checkCondition(input, this.table(input.TableName).get(key));
+        this.table(input.TableName).delete(key);
+        return {};
+      }
+      case "ScanCommand": {
+        const items = [...this.table(input.TableName).values()].map((i) => structuredClone(i));
+        return { Items: items, Count: items.length };
+      }
+      case "QueryCommand":
+        return this.query(input);
+      default:
+        throw unsupported("DynamoDB", command);
+    }
+  }
+
+  putItem(tableName, item) {
+    this.table(tableName).set(this.keyOf(tableName, item), structuredClone(item));
+  }
+
+  table(name) {
+    const table = this.tables.get(name);
+    if (!table) {
+      const err = new Error(`Requested resource not found: Table: ${name} not found`);
+      err.name = "ResourceNotFoundException";
+      throw err;
+    }
+    return table;
+  }
+
+  keyOf(tableName, item) {
+    return TABLE_KEYS[tableName]
+      .map((name) => (item[name] ? Object.values(item[name])[0] : ""))
+      .join("\u0000");
+  }
+
+  /** Throw ConditionalCheckFailedException if input.ConditionExpression is false for `item`. */
+  checkCondition(input, item) {
+    if (!input.ConditionExpression) return;
+    if (!evaluateCondition(input.ConditionExpression, item || {}, input)) {
+      const err = new Error("The conditional request failed");
+      err.name = "ConditionalCheckFailedException";
+      throw err;
+    }
+  }
+
+  /**
+   * Query by partition key, with an optional sort key comparison:
+   *   "PK = :pk" or "PK = :pk AND SK <op> :v" (op is =, <, <=, >, >=)
+   * With IndexName, the keys are the global secondary index's.
+   */
+  query(input) {
+    const table = this.table(input.TableName);
+    const keys = input.IndexName ? TABLE_INDEXES[input.TableName]?.[input.IndexName] : TABLE_KEYS[input.TableName];
+    if (!keys) throw new Error(`Local DynamoDB has no index ${input.IndexName} on ${input.TableName}`);
+    const [partitionKey, sortKey] = keys;
+    const values = input.ExpressionAttributeValues || {};
+    const valueOf = (attr) => (attr ? Object.values(attr)[0] : undefined);
+
+    const conditions = input.KeyConditionExpression.split(/\s+AND\s+/i).map((part) => {
+      const match = part.trim().match(/^(\w+)\s*(=|<=|>=|<|>)\s*(:\w+)$/);
+      if (!match) throw new Error(`Local DynamoDB does not support key condition "${part}"`);
+      return { attr: match[1], op: match[2], value: valueOf(values[match[3]]) };
+    });
+    if (!conditions.some((c) => c.attr === partitionKey && c.op === "=")) {
+      throw new Error(`Query on ${input.TableName} must match ${partitionKey} exactly`);
+    }
+
+    const compare = { "=": (a, b) => a === b, "<": (a, b) => a < b, "<=": (a, b) => a <= b,
+      ">": (a, b) => a > b, ">=": (a, b) => a >= b };
+    let items = [...table.values()]
+      .filter((item) => conditions.every((c) => compare[c.op](valueOf(item[c.attr]), c.value)))
+      .sort((a, b) => (sortKey ? String(valueOf(a[sortKey])).localeCompare(String(valueOf(b[sortKey]))) : 0));
+    if (input.ScanIndexForward === false) items.reverse();
+    if (input.Limit) items = items.slice(0, input.Limit);
+
+    return { Items: items.map((i) => structuredClone(i)), Count: items.length };
+  }
+}
+
+/** Apply an UpdateExpression to `item`. Only "SET a = :v, #b = :w" is supported. */
+function applyUpdate(item, { UpdateExpression, ExpressionAttributeNames = {}, ExpressionAttributeValues = {} }) {
+  const match = UpdateExpression.trim().match(/^SET\s+(.+)$/i);
+  if (!match) throw new Error(`Local DynamoDB does not support update "${UpdateExpression}"`);
+  for (const assignment of match[1].split(",")) {
+    const [name, value] = assignment.split("=").map((part) => part.trim());
+    const attr = name.startsWith("#") ? ExpressionAttributeNames[name] : name;
+    if (!ExpressionAttributeValues[value]) throw new Error(`Local DynamoDB does not support update "${assignment.trim()}"`);
+    item[attr] = structuredClone(ExpressionAttributeValues[value]);
+  }
+  return item;
+}
+
+/**
+ * Evaluate a DynamoDB condition expression against an item. Supports
+ * attribute_exists / attribute_not_exists, comparisons (= <> < <= > >=),
+ * IN (...), AND / OR / NOT, parentheses and #name / :value placeholders.
+ */
+function evaluateCondition(expression, item, { ExpressionAttributeNames = {}, ExpressionAttributeValues = {} }) {
+  const tokens = expression.match(/\(|\)|,|<>|<=|>=|=|<|>|[#:]?[\w.]+/g);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const expect = (token) => {
+    if (next() !== token) throw new Error(`Local DynamoDB could not parse condition "${expression}"`);
+  };
+  const attrName = (token) => (token.startsWith("#") ? ExpressionAttributeNames[token] : token);
+  const operand = (token) => {
+    const attr = token.startsWith(":") ? ExpressionAttributeValues[token] : item[attrName(token)];
+    if (!attr) return undefined;
+    const [type, value] = Object.entries(attr)[0];
+    return type === "N" ? Number(value) : value;
+  };
+  const compare = { "=": (a, b) => a === b, "<>": (a, b) => a !== b, "<": (a, b) => a < b,
+    "<=": (a, b) => a <= b, ">": (a, b) => a > b, ">=": (a, b) => a >= b };
+
+  function orExpr() {
+    let value = andExpr();
+    while (peek()?.toUpperCase() === "OR") { next(); value = andExpr() || value; }
+    return value;
+  }
+  function andExpr() {
+    let value = unary();
+    while (peek()?.toUpperCase() === "AND") { next(); value = unary() && value; }
+    return value;
+  }
+  function unary() {
+    if (peek()?.toUpperCase() === "NOT") { next(); return !unary(); }
+    if (peek() === "(") { next(); const value = orExpr(); expect(")"); return value; }
+    const token = next();
+    if (token === "attribute_exists" || token === "attribute_not_exists") {
+      expect("(");
+      const exists = item[attrName(next())] !== undefined;
+      expect(")");
+      return token === "attribute_exists" ? exists : !exists;
+    }
+    const op = next();
+    if (op?.toUpperCase() === "IN") {
+      expect("(");
+      const left = operand(token);
+      const candidates = [operand(next())];
+      while (peek() === ",") { next(); candidates.push(operand(next())); }
+      expect(")");
+      return left !== undefined && candidates.includes(left);
+    }
+    if (!compare[op]) throw new Error(`Local DynamoDB does not support "${op}" in conditions`);
+    const left = operand(token);
+    const right = operand(next());
+    return left !== undefined && right !== undefined && compare[op](left, right);
+  }
+
+  const result = orExpr();
+  if (pos !== tokens.length) throw new Error(`Local DynamoDB could not parse condition "${expression}"`);
+  return result;
+}
+
+// ============================================================
+// SES
+// ============================================================
+class FakeSes {
+  constructor(outboxDir) {
+    this.outboxDir = outboxDir;
+    this.sent = [];
+    fs.mkdirSync(outboxDir, { recursive: true });
+  }
+
+  send(command) {
+    if (command.constructor.name !== "SendRawEmailCommand") {
+      throw unsupported("SES", command);
+    }
+    const input = command.input;
+    const rejected = input.Destinations.find((to) => /\.invalid$/i.test(to));
+    if (rejected) {
+      const err = new Error(`Email address is not verified. The following identities failed the check: ${rejected}`);
+      err.name = "MessageRejected";
+      err.$metadata = { httpStatusCode: 400 };
+      throw err;
+    }
+    const raw = Buffer.from(input.RawMessage.Data).toString("utf-8");
+    const email = {
+      id: `${new Date().toISOString().replace(/[:.]/g, "-")}-${randomUUID().slice(0, 8)}`,
+      from: input.Source,
+      to: input.Destinations,
+      ...parseMimeMessage(raw),
+    };
+    this.sent.push(email);
+    fs.writeFileSync(path.join(this.outboxDir, `${email.id}.json`), JSON.stringify(email, null, 2));
+    fs.writeFileSync(path.join(this.outboxDir, `${email.id}.html`), email.html);
+    fs.writeFileSync(path.join(this.outboxDir, `${email.id}.eml`), raw);
+    console.log(`[local] Email to ${email.to.join(", ")}: "${email.subject}" (saved to ${this.outboxDir})`);
+    return { MessageId: email.id };
+  }
+}
+
+/**
+ * Read back a message built by LF2/mime.mjs: { subject, text, html, attachments }.
+ * Only handles what mime.mjs writes (base64 parts, quoted boundaries, B-encoded subjects).
+ */
+function parseMimeMessage(raw) {
+  const email = { subject: "", text: "", html: "", attachments: [] };
+  const visit = (entity) => {
+    const { headers, body } = splitMimeEntity(entity);
+    const type = headers["content-type"] || "text/plain";
+    const boundary = type.match(/boundary="([^"]+)"/)?.[1];
+    if (boundary) {
+      for (const part of body.split(`--${boundary}`).slice(1, -1)) visit(part.replace(/^\r\n/, ""));
+      return;
+    }
+    const content = headers["content-transfer-encoding"] === "base64"
+      ? Buffer.from(body.replace(/\s+/g, ""), "base64").toString("utf-8")
+      : body;
+    const filename = headers["content-disposition"]?.match(/filename="([^"]+)"/)?.[1];
+    if (filename) {
+      email.attachments.push({ filename, contentType: type.split(";")[0], content });
+    } else if (type.startsWith("text/html")) {
+      email.html = content;
+    } else {
+      email.text = content;
+    }
+  };
+  visit(raw);
+  email.subject = (splitMimeEntity(raw).headers.subject || "")
+    .replace(/\?=\s+=\?/g, "?==?")
+    .replace(/=\?UTF-8\?B\?([^?]*)\?=/gi, (_, b64) => Buffer.from(b64, "base64").toString("utf-8"));
+  return email;
+}
+
+/** Unfolded, lowercase-named headers and the body of a MIME entity. */
+function splitMimeEntity(entity) {
+  const split = entity.indexOf("\r\n\r\n");
+  const headers = {};
+  for (const line of entity.slice(0, split).replace(/\r\n[ \t]+/g, " ").split("\r\n")) {
+    const colon = line.indexOf(":");
+    headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+  }
+  return { headers, body: entity.slice(split + 4) };
+}
+
+// ============================================================
+// OPENSEARCH
+// ============================================================
+
+/**
+ * Run an OpenSearch _search body against the in-memory index.
+ * Supports match_all, match, term, terms, range, exists and bool (must/filter/should/must_not).
+ */
+export function searchIndex(index, body) {
+  const query = body.query || { match_all: {} };
+  const hits = index.filter((doc) => matches(doc, query))
+    .map((doc) => ({ _id: doc.RestaurantID, _source: doc, ...(body.sort && { sort: sortValues(doc, body.sort) }) }));
+  if (body.sort) hits.sort((a, b) => a.sort[0] - b.sort[0]);
+  return {
+    hits: {
+      total: { value: hits.length, relation: "eq" },
+      hits: hits.slice(0, body.size ?? 10),
+    },
+  };
+}
+
+/** Sort values for a hit; only ascending _geo_distance (in km) is supported. */
+function sortValues(doc, sort) {
+  return asArray(sort).map((s) => {
+    const [type, clause] = Object.entries(s)[0];
+    if (type !== "_geo_distance" || clause.unit !== "km" || (clause.order ?? "asc") !== "asc") {
+      throw new Error(`Local OpenSearch does not support sorting by "${type}"`);
+    }
+    const [field, origin] = Object.entries(clause).find(([key]) => !["order", "unit"].includes(key));
+    return doc[field] ? distanceKm(origin, doc[field]) : Infinity;
+  });
+}
+
+function matches(doc, query) {
+  const [type, clause] = Object.entries(query)[0];
+  switch (type) {
+    case "match_all":
+      return true;
+    case "match":
+    case "term": {
+      const [field, value] = Object.entries(clause)[0];
+      const expected = typeof value === "object" ? (value.query ?? value.value) : value;
+      return fieldValues(doc, field).some((v) => String(v).toLowerCase() === String(expected).toLowerCase());
+    }
+    case "terms": {
+      const [field, values] = Object.entries(clause)[0];
+      const wanted = values.map((v) => String(v).toLowerCase());
+      return fieldValues(doc, field).some((v) => wanted.includes(String(v).toLowerCase()));
+    }
+    case "range": {
+      const [field, bounds] = Object.entries(clause)[0];
+      const inRange = {
+        gt: (v, b) => v > b, gte: (v, b) => v >= b, lt: (v, b) => v < b, lte: (v, b) => v <= b,
+      };
+      return fieldValues(doc, field).some((v) =>
+        Object.entries(bounds).every(([op, bound]) => inRange[op](Number(v), Number(bound))));
+    }
+    case "exists":
+      return fieldValues(doc, clause.field).length > 0;
+    case "geo_distance": {
+      const [field, origin] = Object.entries(clause).find(([key]) => key !== "distance");
+      const maxKm = parseFloat(clause.distance); // "1.2km"
+      return doc[field] != null && distanceKm(origin, doc[field]) <= maxKm;
+    }
+    case "bool": {
+      const all = (list) => asArray(list).every((q) => matches(doc, q));
+      const should = asArray(clause.should);
+      const minimumShould = clause.minimum_should_match ??
+        (clause.must || clause.filter ? 0 : Math.min(1, should.length));
+      return all(clause.must) && all(clause.filter) &&
+        !asArray(clause.must_not).some((q) => matches(doc, q)) &&
+        should.filter((q) => matches(doc, q)).length >= minimumShould;
+    }
+    default:
+      throw new Error(`Local OpenSearch does not support "${type}" queries`);
+  }
+}
+
+function fieldValues(doc, field) {
+  const value = doc[field];
+  return value == null ? [] : asArray(value);
+}
+
+function asArray(value) {
+  if (value == null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+/** Scraper JSON record → DynamoDB item, same shape yelp-scraper.js writes. */
+function toDynamoItem(r) {
+  return {
+    BusinessID: { S: r.BusinessID },
+    Name: { S: r.Name },
+    Address: { S: r.Address },
+    Coordinates: {
+      M: {
+        Latitude: { S: r.Coordinates?.Latitude || "" },
+        Longitude: { S: r.Coordinates?.Longitude || "" },
+      },
+    },
+    NumberOfReviews: { N: String(r.NumberOfReviews || 0) },
+    Rating: { N: String(r.Rating || 0) },
+    ZipCode: { S: r.ZipCode || "" },
+    Borough: { S: r.Borough || nycBoroughs.boroughFromZip(r.ZipCode) },
+    Neighborhood: { S: neighborhoodOf(r) },
+    Price: { S: r.Price || "" },
+    DietaryOptions: { L: (r.DietaryOptions || []).map((d) => ({ S: d })) },
+    ...(r.GoodForGroups != null && { GoodForGroups: { BOOL: r.GoodForGroups } }),
+    ...(r.TakesReservations != null && { TakesReservations: { BOOL: r.TakesReservations } }),
+    ...(r.Capacity && { Capacity: { N: String(r.Capacity) } }),
+    ...(r.Hours && {
+      Hours: {
+        L: r.Hours.map((h) => ({
+          M: { Day: { N: String(h.Day) }, Start: { S: h.Start }, End: { S: h.End }, Overnight: { BOOL: Boolean(h.Overnight) } },
+        })),
+      },
+      SpecialHours: {
+        L: (r.SpecialHours || []).map((s) => ({
+          M: {
+            Date: { S: s.Date },
+            Closed: { BOOL: Boolean(s.Closed) },
+            ...(s.Start && { Start: { S: s.Start }, End: { S: s.End }, Overnight: { BOOL: Boolean(s.Overnight) } }),
+          },
+        })),
+      },
+    }),
+    Cuisine: { S: r.Cuisine },
+    insertedAtTimestamp: { S: r.insertedAtTimestamp || new Date().toISOString() },
+  };
+}
+
+/** Scraper JSON record → OpenSearch document, same shape opensearch-bulk-upload.js indexes. */
+function toIndexDocument(r) {
+  return {
+    RestaurantID: r.BusinessID,
+    Cuisine: r.Cuisine,
+    Borough: r.Borough || nycBoroughs.boroughFromZip(r.ZipCode),
+    Neighborhood: neighborhoodOf(r),
+    DietaryOptions: r.DietaryOptions || [],
+    PriceLevel: r.Price ? r.Price.length : null,
+    GoodForGroups: r.GoodForGroups ?? null,
+    TakesReservations: r.TakesReservations ?? null,
+    Capacity: Number(r.Capacity) || null,
+    Rating: Number(r.Rating) || 0,
+    NumberOfReviews: Number(r.NumberOfReviews) || 0,
+    Latitude: parseFloat(r.Coordinates?.Latitude) || null,
+    Longitude: parseFloat(r.Coordinates?.Longitude) || null,
+    Coordinates: r.Coordinates?.Latitude && r.Coordinates?.Longitude
+      ? { lat: parseFloat(r.Coordinates.Latitude), lon: parseFloat(r.Coordinates.Longitude) }
+      : null,
+  };
+}
+
+/** Seed records have no Neighborhood; derive it from the ZIP code like the scrapers do. */
+function neighborhoodOf(r) {
+  const coordinates = { latitude: r.Coordinates?.Latitude, longitude: r.Coordinates?.Longitude };
+  return r.Neighborhood || nycBoroughs.neighborhoodFor(r.ZipCode, "", coordinates);
+}
+
+function unsupported(service, command) {
+  return new Error(`Local ${service} does not support ${command.constructor.name}`);
+}
@@ -0,0 +1,239 @@
+/**
+ * Local Dev Stack
+ *
+ * Runs the whole LF0 → LF1 → SQS → LF2 → email flow on a laptop:
+ *   - serves frontend/chat.html, with the API Gateway SDK pointed at this server
+ *   - POST /v1/chatbot invokes LF0 (offline NLU → LF1, no Lex bot needed)
+ *   - LF2 runs every LF2_POLL_SECONDS, either like the EventBridge schedule
+ *     (LF2_TRIGGER=schedule, the default) or like an SQS event source mapping
+ *     delivering batches in event.Records (LF2_TRIGGER=sqs)
+ *   - SQS, DynamoDB, OpenSearch and SES are in-memory fakes (fake-aws.mjs)
+ *
+ * Extra endpoints:
+ *   POST /_local/run-lf2           - run LF2 once right now (?trigger=sqs|schedule)
+ *   GET  /_local/outbox            - emails "sent" so far (JSON)
+ *   GET  /_local/dead-letters      - dining requests LF2 gave up on (JSON)
+ *   POST /_local/redrive           - put pending dead letters back on the queue
+ *   POST /_opensearch/<index>/_search - the fake OpenSearch domain
+ *
+ * USAGE:
+ *   npm run local                    (from the repo root, after npm install)
+ *   PORT=8080 RESTAURANTS_FILE=restaurants-dynamodb.json npm run local
+ */
+
+import http from "http";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { installFakeAws, searchIndex } from "./fake-aws.mjs";
+
+const LOCAL_DIR = path.dirname(fileURLToPath(import.meta.url));
+const ROOT_DIR = path.resolve(LOCAL_DIR, "..");
+const FRONTEND_DIR = path.join(ROOT_DIR, "frontend");
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "application/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".gif": "image/gif",
+  ".svg": "image/svg+xml",
+};
+
+const SQS_BATCH_SIZE = 10;
+
+/**
+ * Start the local stack. Returns { url, fakes, runLF2, deadLetters, close }.
+ * `port: 0` picks a free port (used by the smoke test).
+ * runLF2(trigger?) runs LF2 once, as "schedule" or "sqs" (default: lf2Trigger).
+ */
+export async function startLocalStack({
+  port = Number(process.env.PORT) || 3000,
+  pollSeconds = Number(process.env.LF2_POLL_SECONDS) || 5,
+  lf2Trigger = process.env.LF2_TRIGGER === "sqs" ? "sqs" : "schedule",
+  restaurantsFile = process.env.RESTAURANTS_FILE || defaultRestaurantsFile(),
+  outboxDir = process.env.OUTBOX_DIR || path.join(LOCAL_DIR, "outbox"),
+} = {}) {
+  const fakes = installFakeAws({ restaurantsFile, outboxDir });
+
+  const server = http.createServer((req, res) => {
+    route(req, res).catch((err) => {
+      console.error("[local] Request failed:", err);
+      send(res, 500, "application/json", JSON.stringify({ message: err.message }));
+    });
+  });
+  await new Promise((resolve) => server.listen(port, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  // The Lambdas read their configuration when they load, so set it up first
+  Object.assign(process.env, {
+    SESSION_SECRET: process.env.SESSION_SECRET || "local-dev-secret",
+    SQS_QUEUE_URL: "http://local/queue/DiningRequestsQueue",
+    OPENSEARCH_ENDPOINT: `${url}/_opensearch`,
+    OPENSEARCH_USERNAME: "local",
+    OPENSEARCH_PASSWORD: "local",
+    SES_SENDER_EMAIL: process.env.SES_SENDER_EMAIL || "concierge@localhost",
+  });
+  delete process.env.BOT_ID;
+  delete process.env.BOT_ALIAS_ID;
+
+  const { handler: lf0 } = await import(lambdaUrl("LF0"));
+  const { handler: lf2 } = await import(lambdaUrl("LF2"));
+  const deadLetters = await import(lambdaUrl("LF2", "dead-letters.mjs"));
+
+  const runLF2 = (trigger = lf2Trigger) => trigger === "sqs"
+    ? deliverSqsBatch(fakes.sqs, lf2)
+    : lf2({ source: "aws.events", "detail-type": "Scheduled Event" });
+  const timer = pollSeconds > 0 ? setInterval(() => {
+    if (fakes.sqs.messages.length > 0) runLF2().catch((err) => console.error("[local] LF2 failed:", err));
+  }, pollSeconds * 1000) : null;
+
+  async function route(req, res) {
+    const { pathname } = new URL(req.url, url);
+
+    if (req.method === "OPTIONS") {
+      return send(res, 200, "text/plain", "", corsHeaders());
+    }
+    if (req.method === "POST" && pathname === "/v1/chatbot") {
+      const result = await lf0({
+        body: await readBody(req),
+        requestContext: { identity: { sourceIp: req.socket.remoteAddress } },
+      });
+      return send(res, result.statusCode, "application/json", result.body, result.headers);
+    }
+    if (req.method === "POST" && pathname === "/_local/run-lf2") {
+      const trigger = new URL(req.url, url).searchParams.get("trigger") || undefined;
+      const result = await runLF2(trigger);
+      return send(res, 200, "application/json", JSON.stringify(result));
+    }
+    if (req.method === "GET" && pathname === "/_local/outbox") {
+      return send(res, 200, "application/json", JSON.stringify(fakes.ses.sent));
+    }
+    if (req.method === "GET" && pathname === "/_local/dead-letters") {
+      return send(res, 200, "application/json", JSON.stringify(await deadLetters.listDeadLetters({ status: null })));
+    }
+    if (req.method === "POST" && pathname === "/_local/redrive") {
+      const redriven = await deadLetters.redriveDeadLetters(process.env.SQS_QUEUE_URL);
+      return send(res, 200, "application/json", JSON.stringify(redriven));
+    }
+    const search = pathname.match(/^\/_opensearch\/[^/]+\/_search$/);
+    if (req.method === "POST" && search) {
+      const body = JSON.parse((await readBody(req)) || "{}");
+      return send(res, 200, "application/json", JSON.stringify(searchIndex(fakes.index, body)));
+    }
+    if (req.method === "GET") {
+      return serveFrontend(pathname, res, url);
+    }
+    return send(res, 404, "text/plain", "Not found");
+  }
+
+  return {
+    url,
+    fakes,
+    runLF2,
+    deadLetters,
+    close: () => new Promise((resolve) => {
+      if (timer) clearInterval(timer);
+      server.close(resolve);
+    }),
+  };
+}
+
+// ============================================================
+// SQS EVENT SOURCE MAPPING
+// ============================================================
+
+/**
+ * Do what Lambda's SQS event source mapping does: receive a batch, invoke
+ * LF2 with it, then delete every message not listed in batchItemFailures.
+ * If LF2 throws, the whole batch stays on the queue.
+ */
+async function deliverSqsBatch(queue, lf2) {
+  const messages = queue.receive(SQS_BATCH_SIZE);
+  if (messages.length === 0) return { batchItemFailures: [] };
+
+  const result = await lf2({ Records: messages.map(toSqsRecord) });
+  const failed = new Set((result?.batchItemFailures || []).map((f) => f.itemIdentifier));
+  for (const m of messages) {
+    if (!failed.has(m.MessageId)) queue.delete(m.ReceiptHandle);
+  }
+  return result;
+}
+
+function toSqsRecord(message) {
+  return {
+    messageId: message.MessageId,
+    receiptHandle: message.ReceiptHandle,
+    body: message.Body,
+    attributes: { ...message.Attributes, SentTimestamp: String(Date.now()) },
+    messageAttributes: {},
+    eventSource: "aws:sqs",
+    eventSourceARN: "arn:aws:sqs:us-east-1:000000000000:DiningRequestsQueue",
+    awsRegion: "us-east-1",
+  };
+}
+
+// ============================================================
+// STATIC FRONTEND
+// ============================================================
+function serveFrontend(pathname, res, url) {
+  const relative = pathname === "/" ? "chat.html" : decodeURIComponent(pathname).replace(/^\/+/, "");
+  const file = path.resolve(FRONTEND_DIR, relative);
+  if (!file.startsWith(FRONTEND_DIR + path.sep) || !fs.existsSync(file) || fs.statSync(file).isDirectory()) {
+    return send(res, 404, "text/plain", "Not found");
+  }
+
+  let content = fs.readFileSync(file);
+  if (relative === "assets/js/sdk/apigClient.js") {
+    // Point the generated API Gateway SDK at the local /v1/chatbot endpoint
+    content = content.toString().replace(/var invokeUrl = '[^']*';/, `var invokeUrl = '${url}/v1';`);
+  }
+  return send(res, 200, CONTENT_TYPES[path.extname(file)] || "application/octet-stream", content);
+}
+
+// ============================================================
+// HELPERS
+// ============================================================
+function defaultRestaurantsFile() {
+  // Prefer real scraper output if it's been generated, else the bundled seed data
+  const scraped = path.join(ROOT_DIR, "restaurants-dynamodb.json");
+  return fs.existsSync(scraped) ? scraped : path.join(LOCAL_DIR, "seed-restaurants.json");
+}
+
+function lambdaUrl(name, file = "index.mjs") {
+  return pathToFileURL(path.join(ROOT_DIR, "lambda-functions", name, file)).href;
+}
+
+function corsHeaders() {
+  return {
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token",
+    "Access-Control-Allow-Methods": "OPTIONS,POST",
+  };
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", (chunk) => (data += chunk));
+    req.on("end", () => resolve(data));
+    req.on("error", reject);
+  });
+}
+
+function send(res, statusCode, contentType, body, headers = {}) {
+  res.writeHead(statusCode, { "Content-Type": contentType, ...headers });
+  res.end(body);
+}
+
+// Run
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  startLocalStack()
+    .then(({ url }) => console.log(`\n[local] Dining Concierge running at ${url}\n`))
+    .catch((error) => {
+      console.error("Fatal error:", error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,137 @@
+/**
+ * Local end-to-end smoke test
+ *
+ * Starts the local stack on a free port, has a full conversation through
+ * POST /v1/chatbot, runs LF2 and checks that the suggestions email landed
+ * in the outbox with its calendar invite. Then starts a new session as the
+ * same visitor and checks the returning-user re-send only happens after
+ * they say yes, delivering it to LF2 as an SQS event batch with a time
+ * changed from the chat, that redelivering the first request doesn't email
+ * it twice, and that a
+ * cancelled request isn't sent. Finally checks that a rejected recipient
+ * lands in the dead-letter store and can be redriven.
+ * Exits non-zero on failure.
+ *
+ * USAGE:
+ *   npm run local:smoke
+ */
+
+import os from "os";
+import fs from "fs";
+import path from "path";
+import { SendMessageCommand } from "@aws-sdk/client-sqs";
+import { startLocalStack } from "./server.mjs";
+
+const EMAIL = "smoke-test@example.com";
+
+const CONVERSATION = [
+  "hello",
+  "I'm looking for italian food in manhattan",
+  "4",
+  "tomorrow",
+  "7pm",
+  EMAIL,
+];
+
+async function main() {
+  const outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), "concierge-outbox-"));
+  const stack = await startLocalStack({ port: 0, pollSeconds: 0, outboxDir });
+
+  try {
+    let sessionToken;
+    const chat = async (text, extra = {}) => {
+      const response = await fetch(`${stack.url}/v1/chatbot`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ sessionToken, messages: [{ type: "unstructured", unstructured: { text } }], ...extra }),
+      });
+      const body = await response.json();
+      assert(response.ok, `"${text}" returned HTTP ${response.status}`);
+      sessionToken = body.sessionToken;
+      const reply = body.messages.map((m) => m.unstructured?.text || `[${m.structured.type}]`).join(" | ");
+      console.log(`> ${text}\n< ${reply}`);
+      return reply;
+    };
+
+    for (const text of CONVERSATION) {
+      await chat(text);
+    }
+
+    assert(stack.fakes.sqs.messages.length === 1, "expected one dining request on the queue");
+    const firstRequest = stack.fakes.sqs.messages[0].Body;
+    assert(JSON.parse(firstRequest).RequestId, "dining request has no RequestId");
+    await stack.runLF2();
+
+    const sent = stack.fakes.ses.sent;
+    assert(sent.length === 1, `expected one email, got ${sent.length}`);
+    assert(sent[0].to.includes(EMAIL), `email went to ${sent[0].to}`);
+    const invite = sent[0].attachments.find((a) => a.filename.endsWith(".ics"))?.content || "";
+    assert(invite.includes("DTSTART;TZID=America/New_York:"), "email has no calendar invite");
+    assert(stack.fakes.sqs.messages.length === 0, "queue should be empty after LF2 runs");
+    const history = [...stack.fakes.dynamo.tables.get("recommendation-history").values()];
+    assert(history.length >= 3, `expected the emailed restaurants in history, got ${history.length}`);
+
+    const status = await chat("did you send my suggestions?");
+    assert(status.startsWith("Yes! I emailed"), "status check did not report the email as sent");
+
+    // Same visitor, new session: greeting asks first, "yes" queues a re-send
+    const greeting = await chat("hi", { resetSession: true });
+    assert(greeting.includes("Welcome back"), "returning visitor was not recognized");
+    assert(stack.fakes.sqs.messages.length === 0, "re-send was queued without consent");
+    await chat("yes");
+    assert(stack.fakes.sqs.messages.length === 1, "re-send was not queued after consent");
+    const modified = await chat("make it 8pm");
+    assert(modified.startsWith("Updated!"), "queued request could not be modified");
+
+    // Deliver the re-send the way the SQS event source mapping would
+    const batch = await stack.runLF2("sqs");
+    assert(batch.batchItemFailures.length === 0, "SQS batch reported failures");
+    assert(stack.fakes.ses.sent.length === 2, "re-send email was not sent from the SQS batch");
+    assert(stack.fakes.ses.sent[1].text.includes("20:00"), "re-send email ignored the modified time");
+    assert(stack.fakes.sqs.messages.length === 0, "queue should be empty after the SQS batch");
+
+    // Redelivering the same request (Lex retried fulfillment, SQS redelivered) sends nothing new
+    await stack.fakes.sqs.send(new SendMessageCommand({
+      QueueUrl: process.env.SQS_QUEUE_URL,
+      MessageBody: firstRequest,
+    }));
+    await stack.runLF2("sqs");
+    assert(stack.fakes.ses.sent.length === 2, "duplicate request sent a second email");
+
+    // A cancelled request is never sent
+    await chat("hi", { resetSession: true });
+    await chat("yes");
+    assert((await chat("cancel my request")).includes("Cancel your"), "cancel was not confirmed first");
+    assert((await chat("yes")).startsWith("Done, I've cancelled"), "request was not cancelled");
+    await stack.runLF2("sqs");
+    assert(stack.fakes.ses.sent.length === 2, "cancelled request was emailed");
+    assert(stack.fakes.sqs.messages.length === 0, "cancelled request should leave the queue");
+
+    // A recipient SES rejects is dead-lettered, not retried forever; redrive re-queues it
+    await stack.fakes.sqs.send(new SendMessageCommand({
+      QueueUrl: process.env.SQS_QUEUE_URL,
+      MessageBody: JSON.stringify({ Location: "manhattan", Cuisine: "thai", NumberOfPeople: "2",
+        DiningDate: "2026-01-01", DiningTime: "19:00", Email: "nobody@example.invalid" }),
+    }));
+    await stack.runLF2("sqs");
+    const pending = await stack.deadLetters.listDeadLetters();
+    assert(pending.length === 1 && pending[0].reason === "recipient-rejected", "rejected recipient was not dead-lettered");
+    assert(stack.fakes.sqs.messages.length === 0, "dead-lettered message should leave the queue");
+    await stack.deadLetters.redriveDeadLetters(process.env.SQS_QUEUE_URL);
+    assert(stack.fakes.sqs.messages.length === 1, "redrive did not re-queue the dead letter");
+
+    console.log(`\nSmoke test passed: "${sent[0].subject}" sent to ${EMAIL}`);
+  } finally {
+    await stack.close();
+    fs.rmSync(outboxDir, { recursive: true, force: true });
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(`Smoke test failed: ${message}`);
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
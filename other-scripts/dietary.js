@@ -0,0 +1,29 @@
+/**
+ * Dietary options from Yelp categories, shared by the scrapers.
+ *
+ * Stored as the same canonical values LF1 puts in the DietaryRestrictions
+ * slot: vegetarian, vegan, halal, kosher, gluten-free.
+ */
+
+// Yelp category alias → dietary options it implies
+const CATEGORY_OPTIONS = {
+  vegetarian: ["vegetarian"],
+  vegan: ["vegan", "vegetarian"],
+  halal: ["halal"],
+  kosher: ["kosher"],
+  gluten_free: ["gluten-free"],
+};
+
+/**
+ * Dietary options for a Yelp business's categories ([{ alias, title }]),
+ * e.g. [{ alias: "vegan" }, { alias: "thai" }] → ["vegan", "vegetarian"].
+ */
+function dietaryOptionsFromCategories(categories) {
+  const options = new Set();
+  for (const { alias } of categories || []) {
+    for (const option of CATEGORY_OPTIONS[alias] || []) options.add(option);
+  }
+  return [...options];
+}
+
+module.exports = { dietaryOptionsFromCategories };
@@ -0,0 +1,75 @@
+/**
+ * NYC borough and neighborhood helpers shared by the scrapers and the OpenSearch upload.
+ *
+ * Boroughs are stored lowercase, matching the canonical Location values
+ * LF1 produces: manhattan, brooklyn, queens, bronx, staten island.
+ * Neighborhoods are the canonical names in the gazetteer
+ * (lambda-functions/shared/nyc-neighborhoods.json), which LF1 also reads.
+ */
+
+const { neighborhoods: NEIGHBORHOODS } = require("../lambda-functions/shared/nyc-neighborhoods.json");
+
+// USPS ZIP prefixes → borough
+const ZIP_PREFIXES = [
+  { prefixes: ["100", "101", "102"], borough: "manhattan" },
+  { prefixes: ["103"], borough: "staten island" },
+  { prefixes: ["104"], borough: "bronx" },
+  { prefixes: ["112"], borough: "brooklyn" },
+  { prefixes: ["110", "111", "113", "114", "116"], borough: "queens" },
+];
+
+/**
+ * Borough for a 5-digit NYC ZIP code, or "" if it's outside the five boroughs.
+ */
+function boroughFromZip(zipCode) {
+  const zip = String(zipCode || "").trim();
+  if (!/^\d{5}$/.test(zip)) return "";
+  const match = ZIP_PREFIXES.find(({ prefixes }) => prefixes.some((p) => zip.startsWith(p)));
+  return match ? match.borough : "";
+}
+
+/**
+ * Gazetteer neighborhood for a Yelp search location ("Hell's Kitchen, NY" →
+ * "hell's kitchen", "Chinatown Manhattan, NY" → "chinatown").
+ * Broad searches (a whole borough) and unknown places return "".
+ */
+function neighborhoodFromSearchLocation(location) {
+  const name = String(location || "").replace(/,\s*NY$/i, "").trim().toLowerCase();
+  const entry = findNeighborhood(name) || findNeighborhood(name.replace(/\s+manhattan$/, ""));
+  return entry ? entry.name : "";
+}
+
+/**
+ * Neighborhood to tag a restaurant with: the one it was searched in if its
+ * ZIP code belongs there (Yelp also returns places just outside the searched
+ * area), otherwise the neighborhood covering its ZIP - the one with the
+ * nearest center when several share it. `coordinates` is { latitude, longitude }.
+ */
+function neighborhoodFor(zipCode, searchLocation, coordinates) {
+  const zip = String(zipCode || "").trim();
+  const searched = neighborhoodFromSearchLocation(searchLocation);
+  if (!zip) return searched;
+
+  const covering = NEIGHBORHOODS.filter((n) => n.zips.includes(zip));
+  if (covering.some((n) => n.name === searched)) return searched;
+  if (covering.length === 0) return "";
+
+  const lat = parseFloat(coordinates?.latitude);
+  const lon = parseFloat(coordinates?.longitude);
+  if (isNaN(lat) || isNaN(lon)) return covering[0].name;
+  const distance = (n) => (n.center.lat - lat) ** 2 + ((n.center.lon - lon) * Math.cos((lat * Math.PI) / 180)) ** 2;
+  return covering.reduce((best, n) => (distance(n) < distance(best) ? n : best)).name;
+}
+
+/** Canonical neighborhood for a name or alias (older data stored search locations as-is). */
+function canonicalNeighborhood(name) {
+  return findNeighborhood(String(name || "").toLowerCase())?.name || "";
+}
+
+function findNeighborhood(name) {
+  const key = name.trim().replace(/^the /, "");
+  return NEIGHBORHOODS.find((n) => n.name === key || (n.aliases || []).includes(key)) ||
+    NEIGHBORHOODS.find((n) => (n.aliases || []).includes(`the ${key}`)) || null;
+}
+
+module.exports = { boroughFromZip, neighborhoodFromSearchLocation, neighborhoodFor, canonicalNeighborhood };
@@ -1,7 +1,11 @@
 /**
  * OpenSearch Bulk Upload Script
  * 
- * Uploads restaurant data (RestaurantID + Cuisine) to OpenSearch.
+ * Uploads restaurant data to OpenSearch: RestaurantID, Cuisine, Borough,
+ * Neighborhood, DietaryOptions, PriceLevel (1-4 for $-$$$$) and the group
+ * signals (GoodForGroups, TakesReservations, Capacity) for filtering,
+ * plus Rating, NumberOfReviews and coordinates for ranking (also indexed as
+ * the Coordinates geo_point, for "near Union Square" searches).
  * Run this AFTER the yelp-scraper.js has completed.
  * 
  * PREREQUISITES:
@@ -14,10 +18,14 @@
  * 
  * USAGE:
  *   node opensearch-bulk-upload.js
+ * 
+ * If the "restaurants" index was created before these fields were added,
+ * delete it first (DELETE /restaurants) so the new mappings apply.
  */
 
 const https = require("https");
 const fs = require("fs");
+const { boroughFromZip, neighborhoodFor, canonicalNeighborhood } = require("./nyc-boroughs");
 
 // ============================================================
 // CONFIGURATION - CHANGE THESE
@@ -28,6 +36,7 @@ const OPENSEARCH_PASSWORD = process.env.OPENSEARCH_PASSWORD || "YOUR_PASSWORD_HE
 
 const INDEX_NAME = "restaurants";
 const DATA_FILE = "restaurants-opensearch.json"; // Generated by yelp-scraper.js
+const DYNAMO_DATA_FILE = "restaurants-dynamodb.json"; // Used to backfill fields missing from older scrapes
 
 // ============================================================
 // MAIN
@@ -50,6 +59,7 @@ async function main() {
 
   const restaurants = JSON.parse(fs.readFileSync(DATA_FILE, "utf-8"));
   console.log(`Loaded ${restaurants.length} restaurants from ${DATA_FILE}\n`);
+  backfillFromDynamoData(restaurants);
 
   // Step 1: Create the index (if it doesn't exist)
   console.log("Step 1: Creating index...");
@@ -142,6 +152,18 @@ async function createIndex() {
       properties: {
         RestaurantID: { type: "keyword" },
         Cuisine: { type: "keyword" },
+        Borough: { type: "keyword" },
+        Neighborhood: { type: "keyword" },
+        DietaryOptions: { type: "keyword" },
+        PriceLevel: { type: "integer" },
+        GoodForGroups: { type: "boolean" },
+        TakesReservations: { type: "boolean" },
+        Capacity: { type: "integer" },
+        Rating: { type: "float" },
+        NumberOfReviews: { type: "integer" },
+        Latitude: { type: "float" },
+        Longitude: { type: "float" },
+        Coordinates: { type: "geo_point" },
       },
     },
   });
@@ -155,11 +177,66 @@ function buildBulkBody(restaurants) {
     // Action line
     body += JSON.stringify({ index: { _index: INDEX_NAME, _id: r.RestaurantID } }) + "\n";
     // Document line
-    body += JSON.stringify({ RestaurantID: r.RestaurantID, Cuisine: r.Cuisine }) + "\n";
+    body += JSON.stringify({
+      RestaurantID: r.RestaurantID,
+      Cuisine: r.Cuisine,
+      Borough: r.Borough || "",
+      Neighborhood: canonicalNeighborhood(r.Neighborhood) || r.Neighborhood || "",
+      DietaryOptions: r.DietaryOptions || [],
+      PriceLevel: Number(r.PriceLevel) || null,
+      GoodForGroups: r.GoodForGroups ?? null,
+      TakesReservations: r.TakesReservations ?? null,
+      Capacity: Number(r.Capacity) || null,
+      Rating: Number(r.Rating) || 0,
+      NumberOfReviews: Number(r.NumberOfReviews) || 0,
+      Latitude: parseFloat(r.Latitude) || null,
+      Longitude: parseFloat(r.Longitude) || null,
+      Coordinates: toGeoPoint(r.Latitude, r.Longitude),
+    }) + "\n";
   }
   return body;
 }
 
+/** { lat, lon } for the geo_point field, or null if the restaurant has no coordinates. */
+function toGeoPoint(latitude, longitude) {
+  const lat = parseFloat(latitude);
+  const lon = parseFloat(longitude);
+  return isNaN(lat) || isNaN(lon) ? null : { lat, lon };
+}
+
+/**
+ * Data scraped before these fields existed only has RestaurantID + Cuisine.
+ * Fill in Borough, Neighborhood, Rating, NumberOfReviews, coordinates, PriceLevel and DietaryOptions
+ * from restaurants-dynamodb.json,
+ * and the group signals yelp-details.js adds there after scraping.
+ */
+function backfillFromDynamoData(restaurants) {
+  const missing = restaurants.filter((r) =>
+    !r.Borough || !r.Neighborhood || r.Rating === undefined || r.PriceLevel === undefined || r.GoodForGroups === undefined);
+  if (missing.length === 0 || !fs.existsSync(DYNAMO_DATA_FILE)) return;
+
+  const byId = new Map(
+    JSON.parse(fs.readFileSync(DYNAMO_DATA_FILE, "utf-8")).map((r) => [r.BusinessID, r])
+  );
+  for (const r of missing) {
+    const full = byId.get(r.RestaurantID);
+    if (!full) continue;
+    r.Borough = r.Borough || boroughFromZip(full.ZipCode);
+    r.Neighborhood = r.Neighborhood || full.Neighborhood ||
+      neighborhoodFor(full.ZipCode, "", { latitude: full.Coordinates?.Latitude, longitude: full.Coordinates?.Longitude });
+    r.Rating = r.Rating ?? full.Rating;
+    r.NumberOfReviews = r.NumberOfReviews ?? full.NumberOfReviews;
+    r.Latitude = r.Latitude ?? full.Coordinates?.Latitude;
+    r.Longitude = r.Longitude ?? full.Coordinates?.Longitude;
+    r.PriceLevel = r.PriceLevel ?? ((full.Price || "").length || null);
+    r.DietaryOptions = r.DietaryOptions ?? full.DietaryOptions;
+    r.GoodForGroups = r.GoodForGroups ?? full.GoodForGroups ?? null;
+    r.TakesReservations = r.TakesReservations ?? full.TakesReservations ?? null;
+    r.Capacity = r.Capacity ?? full.Capacity ?? null;
+  }
+  console.log(`Backfilled ${missing.length} restaurants from ${DYNAMO_DATA_FILE}\n`);
+}
+
 // ============================================================
 // HTTP REQUEST HELPER
 // ============================================================
@@ -0,0 +1,80 @@
+/**
+ * Email preview
+ *
+ * Renders LF2's suggestions email from its templates
+ * (lambda-functions/LF2/templates/) without AWS, for checking copy,
+ * translations and layout before deploying.
+ *
+ * USAGE:
+ *   node other-scripts/preview-email.mjs                     subject and text body of a sample email
+ *   node other-scripts/preview-email.mjs --html              the HTML body instead
+ *   node other-scripts/preview-email.mjs --locale es         another language (folder under templates/)
+ *   node other-scripts/preview-email.mjs --sample short      full (default), short, empty, near or widened
+ *   node other-scripts/preview-email.mjs --view view.json    your own values (same fields as the samples)
+ *   node other-scripts/preview-email.mjs --out dir           write <sample>.<locale>.txt / .html / .ics to dir
+ */
+
+import fs from "fs";
+import path from "path";
+import { renderSuggestionsEmail } from "../lambda-functions/LF2/email.mjs";
+
+const RESTAURANTS = [
+  { name: "Trattoria Lucia", address: "10 Bleecker St, New York, NY, 10012", rating: "4.5", numberOfReviews: "812", price: "$$", distanceKm: 0.35 },
+  { name: "Chili & Basil <Express>", address: "55 2nd Ave, New York, NY, 10003", rating: "4", numberOfReviews: "97", price: "", distanceKm: 0.8 },
+  { name: "Nonna Rosa's Pasta", address: "301 W 14th St, New York, NY, 10014", rating: "3.5", numberOfReviews: "1204", price: "$$$", distanceKm: 1.1 },
+];
+
+const BASE = {
+  cuisine: "italian",
+  dietary: [],
+  area: { near: false, name: "East Village" },
+  numberOfPeople: "4",
+  diningDate: "2026-03-05",
+  diningTime: "19:00",
+  expected: 3,
+  requestId: "preview",
+};
+
+// Without distances unless searching near a place, like LF2
+const SAMPLES = {
+  full: { ...BASE, restaurants: RESTAURANTS.map(({ distanceKm, ...r }) => r) },
+  short: { ...BASE, restaurants: RESTAURANTS.slice(0, 1).map(({ distanceKm, ...r }) => r) },
+  empty: { ...BASE, restaurants: [] },
+  near: { ...BASE, area: { near: true, name: "Union Square" }, restaurants: RESTAURANTS },
+  // The neighborhood had too few, so LF2 topped it up from the borough
+  widened: { ...BASE, area: { near: false, widened: true, name: "Manhattan" }, restaurants: RESTAURANTS.slice(0, 2).map(({ distanceKm, ...r }) => r) },
+};
+
+function main() {
+  const args = process.argv.slice(2);
+  const option = (name) => {
+    const i = args.indexOf(name);
+    return i >= 0 ? args[i + 1] : undefined;
+  };
+  const locale = option("--locale");
+  const viewFile = option("--view");
+  const sample = option("--sample") || "full";
+  const out = option("--out");
+
+  if (!viewFile && !SAMPLES[sample]) {
+    console.error(`Unknown sample "${sample}", expected one of: ${Object.keys(SAMPLES).join(", ")}`);
+    process.exit(1);
+  }
+  const details = viewFile ? { ...BASE, ...JSON.parse(fs.readFileSync(viewFile, "utf-8")) } : SAMPLES[sample];
+  const email = renderSuggestionsEmail({ ...details, locale });
+
+  if (out) {
+    const name = `${viewFile ? path.basename(viewFile, ".json") : sample}.${email.locale}`;
+    fs.mkdirSync(out, { recursive: true });
+    fs.writeFileSync(path.join(out, `${name}.txt`), `Subject: ${email.subject}\n\n${email.text}`);
+    fs.writeFileSync(path.join(out, `${name}.html`), email.html);
+    for (const attachment of email.attachments) {
+      fs.writeFileSync(path.join(out, `${name}${path.extname(attachment.filename)}`), attachment.content);
+    }
+    console.log(`Wrote ${path.join(out, name)}.* (text, HTML${email.attachments.length ? " and the calendar invite" : ""})`);
+    return;
+  }
+  console.log(args.includes("--html") ? email.html : `Subject: ${email.subject}\n\n${email.text}`);
+}
+
+main();
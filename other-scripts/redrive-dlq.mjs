@@ -0,0 +1,53 @@
+/**
+ * Dead-letter redrive
+ *
+ * Lists dining requests LF2 gave up on (see lambda-functions/LF2/dead-letters.mjs)
+ * and puts them back on DiningRequestsQueue once the cause is fixed, e.g.
+ * after verifying the recipient in SES.
+ *
+ * PREREQUISITES:
+ *   1. npm install (from the repo root)
+ *   2. AWS credentials with access to the dining-request-dlq table and the queue
+ *   3. SQS_QUEUE_URL set to the DiningRequestsQueue URL (only needed to redrive)
+ *
+ * USAGE:
+ *   node other-scripts/redrive-dlq.mjs --list                  pending dead letters
+ *   node other-scripts/redrive-dlq.mjs --list --all            including redriven ones
+ *   node other-scripts/redrive-dlq.mjs <messageId> [...]       redrive specific messages
+ *   node other-scripts/redrive-dlq.mjs --reason recipient-rejected
+ *   node other-scripts/redrive-dlq.mjs --all                   redrive everything pending
+ */
+
+import { listDeadLetters, redriveDeadLetters } from "../lambda-functions/LF2/dead-letters.mjs";
+
+async function main() {
+  const args = process.argv.slice(2);
+  const list = args.includes("--list");
+  const all = args.includes("--all");
+  const reasonIndex = args.indexOf("--reason");
+  const reason = reasonIndex >= 0 ? args[reasonIndex + 1] : undefined;
+  const messageIds = args.filter((a, i) => !a.startsWith("--") && (reasonIndex < 0 || i !== reasonIndex + 1));
+
+  if (list) {
+    const deadLetters = await listDeadLetters({ status: all ? null : "pending", reason });
+    console.log(`${deadLetters.length} dead letter(s)\n`);
+    for (const d of deadLetters) {
+      console.log(`${d.messageId}  ${d.status.padEnd(8)}  ${d.reason.padEnd(20)}  attempts=${d.attempts}  failed ${d.failedAt}`);
+      console.log(`    ${d.error}`);
+    }
+    return;
+  }
+
+  if (messageIds.length === 0 && !reason && !all) {
+    console.error("Nothing to redrive. Pass message IDs, --reason <code> or --all (or --list to see what's pending).");
+    process.exit(1);
+  }
+
+  const redriven = await redriveDeadLetters(process.env.SQS_QUEUE_URL, { messageIds, reason });
+  console.log(`\nRedrove ${redriven.length} message(s) to the queue.`);
+}
+
+main().catch((error) => {
+  console.error("Fatal error:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,268 @@
+/**
+ * Yelp Business Details
+ *
+ * Adds what Yelp's search results (what the scrapers use) leave out to the
+ * restaurants in the yelp-restaurants table: opening hours, so LF1 and LF2
+ * only suggest places that are open at the requested date and time, and
+ * group signals, so a big party isn't sent to a 10-seat counter. Looks each
+ * restaurant up in the Yelp business details API, or imports the details
+ * from a file instead.
+ *
+ * Stores on each item (and in restaurants-dynamodb.json):
+ *   Hours             - L of M { Day (N, 0 = Monday), Start (S, "HHMM"), End (S), Overnight (BOOL) }
+ *   SpecialHours      - L of M { Date (S, "YYYY-MM-DD"), Closed (BOOL), Start?, End?, Overnight? }
+ *                       (holidays and one-off changes, as Yelp lists them)
+ *   GoodForGroups     - BOOL, Yelp's "good for groups" attribute, if known
+ *   TakesReservations - BOOL, Yelp's "takes reservations" attribute (or
+ *                       reservations through Yelp), if known
+ *   Capacity          - N, number of seats; only from an import file ("capacity")
+ *   DetailsUpdatedAt    - S, when the details were fetched
+ * All times are New York local time, as Yelp gives them. Yelp only returns
+ * business attributes on some API plans; without them the group signals
+ * stay unknown, which LF2 treats as neutral.
+ *
+ * PREREQUISITES:
+ *   1. Run yelp-scraper.js first (creates restaurants-dynamodb.json)
+ *   2. Set YELP_API_KEY (not needed with --file)
+ *   3. Configure AWS CLI:  aws configure  (set region to us-east-1)
+ *
+ * USAGE:
+ *   node yelp-details.js                     # restaurants without details yet (re-run to resume)
+ *   node yelp-details.js --refresh           # every restaurant
+ *   node yelp-details.js --file details.json # import instead of calling Yelp
+ *
+ * One details call per restaurant counts against the Yelp API's daily limit.
+ * An import file is a JSON array of Yelp business details, or any objects
+ * with the same "id", "hours", "special_hours" and "attributes" fields, plus
+ * an optional "capacity":
+ *   [{ "id": "...",
+ *      "hours": [{ "hour_type": "REGULAR", "open": [{ "day": 0, "start": "1100", "end": "2200", "is_overnight": false }] }],
+ *      "special_hours": [{ "date": "2026-12-25", "is_closed": true }],
+ *      "attributes": { "restaurants_good_for_groups": true, "restaurants_reservations": true },
+ *      "capacity": 40 }]
+ */
+
+const { DynamoDBClient, UpdateItemCommand } = require("@aws-sdk/client-dynamodb");
+const https = require("https");
+const fs = require("fs");
+
+// ============================================================
+// CONFIGURATION - CHANGE THESE
+// ============================================================
+const YELP_API_KEY = process.env.YELP_API_KEY || "YOUR_YELP_API_KEY_HERE"; // <-- SET THIS
+const AWS_REGION = process.env.AWS_REGION || "us-east-1";
+const DYNAMODB_TABLE = "yelp-restaurants";
+const DATA_FILE = "restaurants-dynamodb.json";
+const SAVE_EVERY = 50; // rewrite DATA_FILE this often, so an interrupted run can resume
+
+// ============================================================
+// MAIN
+// ============================================================
+const dynamoClient = new DynamoDBClient({ region: AWS_REGION });
+
+async function main() {
+  console.log("=== Yelp Business Details ===\n");
+
+  const args = process.argv.slice(2);
+  const fileIndex = args.indexOf("--file");
+  const importFile = fileIndex !== -1 ? args[fileIndex + 1] : null;
+  const refresh = args.includes("--refresh");
+
+  if (!fs.existsSync(DATA_FILE)) {
+    console.error(`ERROR: ${DATA_FILE} not found. Run yelp-scraper.js first.`);
+    process.exit(1);
+  }
+  if (!importFile && YELP_API_KEY === "YOUR_YELP_API_KEY_HERE") {
+    console.error("ERROR: Please set your Yelp API key, or import details with --file");
+    process.exit(1);
+  }
+
+  const restaurants = JSON.parse(fs.readFileSync(DATA_FILE, "utf-8"));
+  const imported = importFile ? loadImportFile(importFile) : null;
+  const todo = restaurants.filter((r) => (imported ? imported.has(r.BusinessID) : refresh || !r.DetailsUpdatedAt));
+  console.log(`${todo.length} of ${restaurants.length} restaurants to update\n`);
+
+  let updated = 0;
+  let failed = 0;
+  for (const restaurant of todo) {
+    try {
+      const details = imported ? imported.get(restaurant.BusinessID) : await getYelpBusiness(restaurant.BusinessID);
+      Object.assign(restaurant, toHours(details, restaurant), toGroupSignals(details, restaurant), {
+        DetailsUpdatedAt: new Date().toISOString(),
+      });
+      await saveDetails(restaurant);
+      updated++;
+
+      if (updated % SAVE_EVERY === 0) {
+        fs.writeFileSync(DATA_FILE, JSON.stringify(restaurants, null, 2));
+        console.log(`  Updated ${updated}/${todo.length}`);
+      }
+      // Respect Yelp rate limits
+      if (!imported) await sleep(300);
+    } catch (error) {
+      console.error(`  Failed to update ${restaurant.BusinessID}: ${error.message}`);
+      failed++;
+      if (!imported) await sleep(2000);
+    }
+  }
+
+  fs.writeFileSync(DATA_FILE, JSON.stringify(restaurants, null, 2));
+  console.log(`\nBusiness details complete: ${updated} succeeded, ${failed} failed`);
+  console.log("\nNext step: Re-run opensearch-bulk-upload.js so the group signals are searchable");
+}
+
+// ============================================================
+// HOURS
+// ============================================================
+
+/**
+ * Yelp business details → { Hours, SpecialHours } in the shape stored in
+ * DATA_FILE. Keeps the restaurant's current hours if the details have none
+ * (an import file with only capacities).
+ */
+function toHours(details, restaurant) {
+  if (!details.hours && !details.special_hours) {
+    return { Hours: restaurant.Hours || [], SpecialHours: restaurant.SpecialHours || [] };
+  }
+  const regular = (details.hours || []).find((h) => !h.hour_type || h.hour_type === "REGULAR");
+  return {
+    Hours: (regular?.open || []).map((o) => ({
+      Day: o.day,
+      Start: o.start,
+      End: o.end,
+      Overnight: Boolean(o.is_overnight),
+    })),
+    SpecialHours: (details.special_hours || []).map((s) => ({
+      Date: s.date,
+      Closed: Boolean(s.is_closed),
+      ...(s.start && s.end && { Start: s.start, End: s.end, Overnight: Boolean(s.is_overnight) }),
+    })),
+  };
+}
+
+// ============================================================
+// GROUP SIGNALS
+// ============================================================
+
+// Attribute names differ between Yelp API versions
+const GOOD_FOR_GROUPS = ["restaurants_good_for_groups", "good_for_groups", "RestaurantsGoodForGroups"];
+const RESERVATIONS = ["restaurants_reservations", "reservations", "RestaurantsReservations"];
+
+/**
+ * Yelp business details → { GoodForGroups, TakesReservations, Capacity },
+ * each null when unknown. Keeps what the scraper already knew.
+ */
+function toGroupSignals(details, restaurant) {
+  const attributes = details.attributes || {};
+  const flag = (names) => {
+    const value = names.map((n) => attributes[n]).find((v) => v != null);
+    return value == null ? null : value === true || String(value).toLowerCase() === "true";
+  };
+  const capacity = parseInt(details.capacity, 10);
+  const bookable = (details.transactions || []).includes("restaurant_reservation") || null;
+  return {
+    GoodForGroups: flag(GOOD_FOR_GROUPS) ?? restaurant.GoodForGroups ?? null,
+    TakesReservations: flag(RESERVATIONS) ?? bookable ?? restaurant.TakesReservations ?? null,
+    Capacity: capacity > 0 ? capacity : restaurant.Capacity ?? null,
+  };
+}
+
+// ============================================================
+// DYNAMODB
+// ============================================================
+function saveDetails(restaurant) {
+  // Unknown group signals are removed rather than stored as false
+  const signals = [
+    ["GoodForGroups", restaurant.GoodForGroups, (v) => ({ BOOL: v })],
+    ["TakesReservations", restaurant.TakesReservations, (v) => ({ BOOL: v })],
+    ["Capacity", restaurant.Capacity, (v) => ({ N: String(v) })],
+  ];
+  const known = signals.filter(([, value]) => value != null);
+  const unknown = signals.filter(([, value]) => value == null);
+
+  return dynamoClient.send(
+    new UpdateItemCommand({
+      TableName: DYNAMODB_TABLE,
+      Key: { BusinessID: { S: restaurant.BusinessID } },
+      UpdateExpression:
+        "SET " + ["Hours = :hours", "SpecialHours = :special", "DetailsUpdatedAt = :updated",
+          ...known.map(([name]) => `${name} = :${name}`)].join(", ") +
+        (unknown.length ? " REMOVE " + unknown.map(([name]) => name).join(", ") : ""),
+      ConditionExpression: "attribute_exists(BusinessID)",
+      ExpressionAttributeValues: {
+        ...Object.fromEntries(known.map(([name, value, toAttribute]) => [`:${name}`, toAttribute(value)])),
+        ":hours": {
+          L: restaurant.Hours.map((h) => ({
+            M: { Day: { N: String(h.Day) }, Start: { S: h.Start }, End: { S: h.End }, Overnight: { BOOL: h.Overnight } },
+          })),
+        },
+        ":special": {
+          L: restaurant.SpecialHours.map((s) => ({
+            M: {
+              Date: { S: s.Date },
+              Closed: { BOOL: s.Closed },
+              ...(s.Start && { Start: { S: s.Start }, End: { S: s.End }, Overnight: { BOOL: s.Overnight } }),
+            },
+          })),
+        },
+        ":updated": { S: restaurant.DetailsUpdatedAt },
+      },
+    })
+  );
+}
+
+/** Import file → Map of business ID → details. */
+function loadImportFile(file) {
+  const entries = JSON.parse(fs.readFileSync(file, "utf-8"));
+  return new Map(entries.map((e) => [e.id || e.BusinessID, e]));
+}
+
+// ============================================================
+// YELP API
+// ============================================================
+function getYelpBusiness(businessId) {
+  return new Promise((resolve, reject) => {
+    const options = {
+      hostname: "api.yelp.com",
+      path: `/v3/businesses/${encodeURIComponent(businessId)}`,
+      method: "GET",
+      headers: {
+        Authorization: `Bearer ${YELP_API_KEY}`,
+        Accept: "application/json",
+      },
+    };
+
+    const req = https.request(options, (res) => {
+      let data = "";
+      res.on("data", (chunk) => (data += chunk));
+      res.on("end", () => {
+        try {
+          const parsed = JSON.parse(data);
+          if (parsed.error) {
+            reject(new Error(parsed.error.description || parsed.error.code));
+          } else {
+            resolve(parsed);
+          }
+        } catch (e) {
+          reject(new Error(`Failed to parse Yelp response: ${e.message}`));
+        }
+      });
+    });
+
+    req.on("error", reject);
+    req.end();
+  });
+}
+
+// ============================================================
+// HELPERS
+// ============================================================
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Run
+main().catch((error) => {
+  console.error("Fatal error:", error);
+  process.exit(1);
+});
@@ -3,37 +3,29 @@
  * 
  * Adds more restaurants from additional neighborhoods and sub-cuisine terms
  * to reach the 5000+ target. Deduplicates against the first pass data.
+ * Search terms come from the cuisine catalog (lambda-functions/shared/cuisines.json):
+ * each sub-cuisine by name, plus every cuisine's searchTerms.
  */
 
 const { DynamoDBClient, PutItemCommand } = require("@aws-sdk/client-dynamodb");
 const https = require("https");
 const fs = require("fs");
 const path = require("path");
+const { boroughFromZip, neighborhoodFor } = require("./nyc-boroughs");
+const { dietaryOptionsFromCategories } = require("./dietary");
+const { cuisines: CUISINE_CATALOG } = require("../lambda-functions/shared/cuisines.json");
 
 const YELP_API_KEY = process.env.YELP_API_KEY;
 const AWS_REGION = process.env.AWS_REGION || "us-east-1";
 const DYNAMODB_TABLE = "yelp-restaurants";
 const dynamoClient = new DynamoDBClient({ region: AWS_REGION });
 
-// Sub-cuisine terms mapped to parent cuisine category
-const SEARCH_TERMS = [
-  { term: "dim sum", cuisine: "chinese" },
-  { term: "szechuan", cuisine: "chinese" },
-  { term: "cantonese", cuisine: "chinese" },
-  { term: "sushi", cuisine: "japanese" },
-  { term: "ramen", cuisine: "japanese" },
-  { term: "izakaya", cuisine: "japanese" },
-  { term: "pizza", cuisine: "italian" },
-  { term: "pasta", cuisine: "italian" },
-  { term: "tacos", cuisine: "mexican" },
-  { term: "burritos", cuisine: "mexican" },
-  { term: "taqueria", cuisine: "mexican" },
-  { term: "curry", cuisine: "indian" },
-  { term: "biryani", cuisine: "indian" },
-  { term: "tandoori", cuisine: "indian" },
-  { term: "pad thai", cuisine: "thai" },
-  { term: "thai curry", cuisine: "thai" },
-];
+// Search terms mapped to the cuisine their results are tagged with. A
+// sub-cuisine keeps its own name; LF2 finds it when the parent is asked for.
+const SEARCH_TERMS = CUISINE_CATALOG.flatMap((c) => [
+  ...(c.parent ? [{ term: c.name, cuisine: c.name }] : []),
+  ...(c.searchTerms || []).map((term) => ({ term, cuisine: c.name })),
+]);
 
 const LOCATIONS = [
   "Harlem, NY",
@@ -108,13 +100,32 @@ async function main() {
               NumberOfReviews: String(biz.review_count || 0),
               Rating: String(biz.rating || 0),
               ZipCode: biz.location?.zip_code || "",
+              Borough: boroughFromZip(biz.location?.zip_code),
+              Neighborhood: neighborhoodFor(biz.location?.zip_code, location, biz.coordinates),
+              Price: biz.price || "", // "$" to "$$$$", missing for some businesses
+              Categories: (biz.categories || []).map((c) => c.alias),
+              DietaryOptions: dietaryOptionsFromCategories(biz.categories),
+              // Reservations through Yelp; other ways to book are unknown until yelp-details.js runs
+              TakesReservations: (biz.transactions || []).includes("restaurant_reservation") || null,
               Cuisine: cuisine,
               insertedAtTimestamp: new Date().toISOString(),
             };
 
             existingIds.add(biz.id);
             newRestaurants.push(restaurant);
-            opensearchData.push({ RestaurantID: biz.id, Cuisine: cuisine });
+            opensearchData.push({
+              RestaurantID: biz.id,
+              Cuisine: cuisine,
+              Borough: restaurant.Borough,
+              Neighborhood: restaurant.Neighborhood,
+              DietaryOptions: restaurant.DietaryOptions,
+              PriceLevel: restaurant.Price.length || null,
+              TakesReservations: restaurant.TakesReservations,
+              Rating: restaurant.Rating,
+              NumberOfReviews: restaurant.NumberOfReviews,
+              Latitude: restaurant.Coordinates.Latitude,
+              Longitude: restaurant.Coordinates.Longitude,
+            });
             termCount++;
             newThisPage++;
           }
@@ -175,6 +186,12 @@ async function main() {
           NumberOfReviews: { N: restaurant.NumberOfReviews },
           Rating: { N: restaurant.Rating },
           ZipCode: { S: restaurant.ZipCode },
+          Borough: { S: restaurant.Borough },
+          Neighborhood: { S: restaurant.Neighborhood },
+          Price: { S: restaurant.Price },
+          Categories: { L: restaurant.Categories.map((c) => ({ S: c })) },
+          DietaryOptions: { L: restaurant.DietaryOptions.map((d) => ({ S: d })) },
+          ...(restaurant.TakesReservations && { TakesReservations: { BOOL: true } }),
           Cuisine: { S: restaurant.Cuisine },
           insertedAtTimestamp: { S: restaurant.insertedAtTimestamp },
         },
@@ -1,8 +1,15 @@
 /**
  * Yelp Restaurant Scraper
  * 
- * Scrapes 5000+ restaurants from Manhattan using the Yelp Fusion API.
- * Queries 6 cuisine types across 10 Manhattan neighborhoods.
+ * Scrapes 5000+ restaurants from NYC using the Yelp Fusion API.
+ * Queries every top-level cuisine in the catalog
+ * (lambda-functions/shared/cuisines.json) across 10 Manhattan neighborhoods plus the
+ * other four boroughs. Each restaurant is tagged with its borough (from
+ * the ZIP code), its neighborhood (from the gazetteer in
+ * lambda-functions/shared/nyc-neighborhoods.json), its Yelp price tier
+ * ($ to $$$$), whether it takes reservations through Yelp and any dietary
+ * options (vegetarian, vegan, halal, kosher, gluten-free) its Yelp
+ * categories imply.
  * Deduplicates by business ID. Stores results in DynamoDB and exports
  * to JSON for OpenSearch bulk upload.
  * 
@@ -19,6 +26,9 @@
 
 const { DynamoDBClient, PutItemCommand } = require("@aws-sdk/client-dynamodb");
 const https = require("https");
+const { boroughFromZip, neighborhoodFor } = require("./nyc-boroughs");
+const { dietaryOptionsFromCategories } = require("./dietary");
+const { cuisines: CUISINE_CATALOG } = require("../lambda-functions/shared/cuisines.json");
 
 // ============================================================
 // CONFIGURATION - CHANGE THESE
@@ -27,7 +37,8 @@ const YELP_API_KEY = process.env.YELP_API_KEY || "YOUR_YELP_API_KEY_HERE"; // <-
 const AWS_REGION = process.env.AWS_REGION || "us-east-1";
 const DYNAMODB_TABLE = "yelp-restaurants";
 
-const CUISINES = ["chinese", "japanese", "italian", "mexican", "indian", "thai"];
+// Sub-cuisines (entries with a parent) are covered by yelp-scraper-pass2.js
+const CUISINES = CUISINE_CATALOG.filter((c) => !c.parent).map((c) => c.name);
 const LOCATIONS = [
   "Manhattan, NY",
   "Midtown Manhattan, NY",
@@ -39,6 +50,10 @@ const LOCATIONS = [
   "SoHo, NY",
   "Chinatown Manhattan, NY",
   "Hell's Kitchen, NY",
+  "Brooklyn, NY",
+  "Queens, NY",
+  "Bronx, NY",
+  "Staten Island, NY",
 ];
 const RESULTS_PER_PAGE = 50; // Yelp max per request
 const PAGES_PER_LOCATION = 5;  // 5 pages per cuisine per location (offset 0-200)
@@ -98,6 +113,13 @@ async function main() {
               NumberOfReviews: String(biz.review_count || 0),
               Rating: String(biz.rating || 0),
               ZipCode: biz.location?.zip_code || "",
+              Borough: boroughFromZip(biz.location?.zip_code),
+              Neighborhood: neighborhoodFor(biz.location?.zip_code, location, biz.coordinates),
+              Price: biz.price || "", // "$" to "$$$$", missing for some businesses
+              Categories: (biz.categories || []).map((c) => c.alias),
+              DietaryOptions: dietaryOptionsFromCategories(biz.categories),
+              // Reservations through Yelp; other ways to book are unknown until yelp-details.js runs
+              TakesReservations: (biz.transactions || []).includes("restaurant_reservation") || null,
               Cuisine: cuisine,
               insertedAtTimestamp: new Date().toISOString(),
             };
@@ -106,6 +128,15 @@ async function main() {
             opensearchData.push({
               RestaurantID: biz.id,
               Cuisine: cuisine,
+              Borough: restaurant.Borough,
+              Neighborhood: restaurant.Neighborhood,
+              DietaryOptions: restaurant.DietaryOptions,
+              PriceLevel: restaurant.Price.length || null,
+              TakesReservations: restaurant.TakesReservations,
+              Rating: restaurant.Rating,
+              NumberOfReviews: restaurant.NumberOfReviews,
+              Latitude: restaurant.Coordinates.Latitude,
+              Longitude: restaurant.Coordinates.Longitude,
             });
             cuisineCount++;
             newThisPage++;
@@ -159,6 +190,12 @@ async function main() {
             NumberOfReviews: { N: restaurant.NumberOfReviews },
             Rating: { N: restaurant.Rating },
             ZipCode: { S: restaurant.ZipCode },
+            Borough: { S: restaurant.Borough },
+            Neighborhood: { S: restaurant.Neighborhood },
+            Price: { S: restaurant.Price },
+            Categories: { L: restaurant.Categories.map((c) => ({ S: c })) },
+            DietaryOptions: { L: restaurant.DietaryOptions.map((d) => ({ S: d })) },
+            ...(restaurant.TakesReservations && { TakesReservations: { BOOL: true } }),
             Cuisine: { S: restaurant.Cuisine },
             insertedAtTimestamp: { S: restaurant.insertedAtTimestamp },
           },
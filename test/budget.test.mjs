@@ -0,0 +1,29 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { findBudgetInText, normalizeBudget } from "../lambda-functions/shared/budget.mjs";
+
+test("findBudgetInText: budget words, the longest one first", () => {
+  assert.equal(findBudgetInText("cheap thai for 2"), "cheap");
+  assert.equal(findBudgetInText("cheap eats in the east village"), "cheap eats");
+  assert.equal(findBudgetInText("something mid range"), "mid range");
+  assert.equal(findBudgetInText("no budget, just good food"), "no budget");
+});
+
+test("findBudgetInText: dollar amounts and tiers", () => {
+  assert.equal(findBudgetInText("sushi under $40 tonight"), "under $40");
+  assert.equal(findBudgetInText("about 40 dollars a person"), "about 40 dollars");
+  assert.equal(findBudgetInText("$25 a head"), "$25");
+  assert.equal(findBudgetInText("$$ italian"), "$$");
+});
+
+test("findBudgetInText: numbers that aren't money", () => {
+  assert.equal(findBudgetInText("dinner around 7pm"), null);
+  assert.equal(findBudgetInText("up to 6 people"), null);
+  assert.equal(findBudgetInText("thai for 4 at 8"), null);
+});
+
+test("whatever it finds, normalizeBudget understands", () => {
+  for (const text of ["cheap eats", "under $40", "about 40 dollars", "$25", "$$", "fine dining", "no budget"]) {
+    assert.notEqual(normalizeBudget(findBudgetInText(text)), null, text);
+  }
+});
@@ -0,0 +1,93 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { renderSuggestionsEmail } from "../lambda-functions/LF2/email.mjs";
+
+// Rendered emails are compared with the files in test/snapshots/.
+// After an intended change to the templates: UPDATE_SNAPSHOTS=1 npm test
+const SNAPSHOTS = new URL("./snapshots/", import.meta.url);
+
+function matchesSnapshot(name, actual) {
+  const file = new URL(name, SNAPSHOTS);
+  if (process.env.UPDATE_SNAPSHOTS) {
+    fs.mkdirSync(SNAPSHOTS, { recursive: true });
+    fs.writeFileSync(file, actual);
+    return;
+  }
+  assert.ok(fs.existsSync(file), `missing snapshot ${name}, run with UPDATE_SNAPSHOTS=1 to create it`);
+  assert.equal(actual, fs.readFileSync(file, "utf-8"), `${name} changed, run with UPDATE_SNAPSHOTS=1 if that's intended`);
+}
+
+const HOSTILE = {
+  name: `<script>alert("hi")</script> Tom & Jerry's`,
+  address: `1 <b>Main</b> St, New York, NY, 10003`,
+  rating: "4.5",
+  numberOfReviews: "812",
+  price: "$$",
+  distanceKm: 0.35,
+};
+const RESTAURANTS = [
+  HOSTILE,
+  { name: "Baan Siam", address: "55 2nd Ave, New York, NY, 10003", rating: "4", numberOfReviews: "97", price: "", distanceKm: 0.8 },
+  { name: "Krua Thai Noodles", address: "301 W 14th St, New York, NY, 10014", rating: "3.5", numberOfReviews: "1204", price: "$$$", distanceKm: 1.1 },
+];
+
+const BASE = {
+  requestId: "snapshot",
+  cuisine: "thai",
+  dietary: ["vegan"],
+  area: { near: false, name: "East Village" },
+  numberOfPeople: "4",
+  diningDate: "2026-03-05",
+  diningTime: "19:00",
+  expected: 3,
+};
+
+const CASES = {
+  full: { ...BASE, restaurants: RESTAURANTS.map(({ distanceKm, ...r }) => r) },
+  short: { ...BASE, restaurants: RESTAURANTS.slice(1, 2).map(({ distanceKm, ...r }) => r) },
+  empty: { ...BASE, restaurants: [] },
+  near: { ...BASE, area: { near: true, name: "Union Square" }, restaurants: RESTAURANTS },
+  widened: { ...BASE, area: { near: false, widened: true, name: "Manhattan" }, restaurants: RESTAURANTS.slice(1).map(({ distanceKm, ...r }) => r) },
+};
+
+for (const locale of ["en_US", "es_US"]) {
+  for (const [name, details] of Object.entries(CASES)) {
+    test(`suggestions email: ${name}, ${locale}`, () => {
+      const email = renderSuggestionsEmail({ ...details, locale });
+      const prefix = `${name}.${email.locale}`;
+      matchesSnapshot(`${prefix}.txt`, `Subject: ${email.subject}\n\n${email.text}`);
+      matchesSnapshot(`${prefix}.html`, email.html);
+      if (email.attachments.length > 0) {
+        // DTSTAMP is the time of rendering
+        matchesSnapshot(`${prefix}.ics`, email.attachments[0].content.replace(/^DTSTAMP:.*$/m, "DTSTAMP:<now>"));
+      }
+    });
+  }
+}
+
+test("restaurant names and addresses are escaped in the HTML, not the text", () => {
+  const { html, text } = renderSuggestionsEmail({ ...CASES.full, locale: "en_US" });
+  assert.ok(!html.includes("<script>"));
+  assert.ok(!html.includes("<b>Main"));
+  assert.ok(html.includes("&lt;script&gt;alert(&quot;hi&quot;)&lt;/script&gt; Tom &amp; Jerry&#39;s"));
+  assert.ok(text.includes(HOSTILE.name));
+});
+
+test("fewer results than asked for say so; none get no invite", () => {
+  const short = renderSuggestionsEmail({ ...CASES.short, locale: "en_US" });
+  assert.ok(short.text.includes("I could only find 1 vegan thai restaurant in East Village."));
+  assert.equal(short.attachments.length, 1);
+  assert.equal(renderSuggestionsEmail({ ...CASES.empty, locale: "en_US" }).attachments.length, 0);
+});
+
+test("picks topped up from the borough don't claim to be in the neighborhood", () => {
+  const { text } = renderSuggestionsEmail({ ...CASES.widened, locale: "en_US" });
+  assert.ok(text.includes("I could only find 2 vegan thai restaurants nearby in Manhattan."));
+  assert.ok(!text.includes("East Village"));
+  assert.ok(renderSuggestionsEmail({ ...CASES.widened, locale: "es_US" }).text.includes("en la zona de Manhattan"));
+});
+
+test("unknown locales fall back to English", () => {
+  assert.equal(renderSuggestionsEmail({ ...CASES.full, locale: "fr_FR" }).locale, "en");
+});
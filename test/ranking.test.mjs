@@ -0,0 +1,158 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  SCORERS, DEFAULT_WEIGHTS, DEFAULT_OPTIONS, LARGE_PARTY, scoreCandidates, rankCandidates, distanceKm,
+} from "../lambda-functions/shared/ranking.mjs";
+
+const opts = DEFAULT_OPTIONS;
+const UNION_SQUARE = { lat: 40.7359, lon: -73.9911 };
+
+function candidate(id, fields = {}) {
+  return { id, rating: 4, reviewCount: 100, ...fields };
+}
+
+// A generator with a fixed sequence, for reproducible picks
+function sequence(...values) {
+  let i = 0;
+  return () => values[i++ % values.length];
+}
+
+test("rating: few reviews are pulled toward the mean", () => {
+  const stats = { meanRating: 3.5 };
+  const perfectButNew = SCORERS.rating(candidate("a", { rating: 5, reviewCount: 2 }), {}, stats, opts);
+  const perfectAndBusy = SCORERS.rating(candidate("b", { rating: 5, reviewCount: 5000 }), {}, stats, opts);
+
+  assert.ok(perfectButNew < perfectAndBusy);
+  // 2 reviews against a prior of 50: (2 * 5 + 50 * 3.5) / 52 / 5
+  assert.ok(Math.abs(perfectButNew - (2 * 5 + 50 * 3.5) / 52 / 5) < 1e-9);
+  assert.equal(SCORERS.rating(candidate("c", { rating: 5, reviewCount: 0 }), {}, stats, opts), 3.5 / 5);
+});
+
+test("rating: the prior mean is the candidates' review-weighted rating", () => {
+  const [scored] = scoreCandidates(
+    [candidate("a", { rating: 5, reviewCount: 0 }), candidate("b", { rating: 3, reviewCount: 300 }), candidate("c", { rating: 4, reviewCount: 100 })],
+    {},
+    { weights: { rating: 1 } }
+  ).filter((c) => c.id === "a");
+  assert.ok(Math.abs(scored.breakdown.rating - 3.25 / 5) < 1e-9);
+});
+
+test("reviews: log-scaled against the busiest candidate", () => {
+  const stats = { maxReviews: 1000 };
+  assert.equal(SCORERS.reviews(candidate("a", { reviewCount: 1000 }), {}, stats), 1);
+  assert.equal(SCORERS.reviews(candidate("b", { reviewCount: 0 }), {}, stats), 0);
+  assert.ok(SCORERS.reviews(candidate("c", { reviewCount: 31 }), {}, stats) > 0.45);
+  assert.equal(SCORERS.reviews(candidate("d", { reviewCount: 0 }), {}, { maxReviews: 0 }), 0);
+});
+
+test("proximity: falls off with distance from the origin", () => {
+  const ctx = { origin: UNION_SQUARE };
+  const here = SCORERS.proximity(candidate("a", UNION_SQUARE), ctx, {}, opts);
+  const nearby = SCORERS.proximity(candidate("b", { lat: 40.7308, lon: -73.9973 }), ctx, {}, opts); // Washington Sq, ~0.8 km
+  const uptown = SCORERS.proximity(candidate("c", { lat: 40.8075, lon: -73.9626 }), ctx, {}, opts); // Columbia, ~8 km
+
+  assert.equal(here, 1);
+  assert.ok(here > nearby && nearby > uptown);
+  const km = distanceKm(UNION_SQUARE, { lat: 40.7308, lon: -73.9973 });
+  assert.ok(Math.abs(nearby - Math.exp(-km / opts.proximityDecayKm)) < 1e-9);
+  assert.ok(uptown < 0.01);
+});
+
+test("proximity: neutral when the origin or the coordinates are unknown", () => {
+  assert.equal(SCORERS.proximity(candidate("a", UNION_SQUARE), {}, {}, opts), 0.5);
+  assert.equal(SCORERS.proximity(candidate("b"), { origin: UNION_SQUARE }, {}, opts), 0.5);
+});
+
+test("history: restaurants already sent score zero", () => {
+  const ctx = { previouslyRecommended: new Set(["a"]) };
+  assert.equal(SCORERS.history(candidate("a"), ctx), 0);
+  assert.equal(SCORERS.history(candidate("b"), ctx), 1);
+  assert.equal(SCORERS.history(candidate("a"), {}), 1);
+});
+
+test("budget: inside the range, outside it, or unknown", () => {
+  const ctx = { budget: { min: 1, max: 2 } };
+  assert.equal(SCORERS.budget(candidate("a", { priceLevel: 2 }), ctx), 1);
+  assert.equal(SCORERS.budget(candidate("b", { priceLevel: 4 }), ctx), 0);
+  assert.equal(SCORERS.budget(candidate("c", { priceLevel: null }), ctx), 0.5);
+  assert.equal(SCORERS.budget(candidate("d", { priceLevel: 4 }), {}), 0.5);
+});
+
+test("groups: only matters for large parties", () => {
+  const friendly = candidate("a", { goodForGroups: true, takesReservations: true });
+  const counter = candidate("b", { goodForGroups: false, takesReservations: false });
+  const unknown = candidate("c");
+
+  assert.equal(SCORERS.groups(counter, { partySize: 2 }), 0.5);
+  assert.equal(SCORERS.groups(friendly, { partySize: LARGE_PARTY }), 1);
+  assert.equal(SCORERS.groups(counter, { partySize: LARGE_PARTY }), 0);
+  assert.equal(SCORERS.groups(unknown, { partySize: 14 }), 0.5);
+});
+
+test("scoreCandidates: weighted sum, best first, with a breakdown", () => {
+  const scored = scoreCandidates(
+    [candidate("sent-before"), candidate("new")],
+    { previouslyRecommended: new Set(["sent-before"]) },
+    { weights: { rating: 0.5, history: 0.5 } }
+  );
+  assert.deepEqual(scored.map((c) => c.id), ["new", "sent-before"]);
+  assert.deepEqual(Object.keys(scored[0].breakdown).sort(), ["history", "rating"]);
+  assert.ok(Math.abs(scored[0].score - scored[1].score - 0.5) < 1e-9);
+});
+
+test("scoreCandidates: custom scorers and zero weights", () => {
+  const scored = scoreCandidates([candidate("a"), candidate("b")], {}, {
+    weights: { rating: 0, favorite: 1 },
+    scorers: { ...SCORERS, favorite: (c) => (c.id === "b" ? 1 : 0) },
+  });
+  assert.equal(scored[0].id, "b");
+  assert.equal(scored[0].score, 1);
+  assert.equal(scored[0].breakdown.rating, undefined);
+});
+
+test("RANKING_WEIGHTS overrides the default weights", (t) => {
+  const candidates = [candidate("busy", { rating: 3, reviewCount: 5000 }), candidate("loved", { rating: 5, reviewCount: 60 })];
+  t.after(() => delete process.env.RANKING_WEIGHTS);
+
+  delete process.env.RANKING_WEIGHTS;
+  const byDefault = scoreCandidates(candidates);
+  assert.deepEqual(Object.keys(byDefault[0].breakdown).sort(), Object.keys(DEFAULT_WEIGHTS).sort());
+
+  process.env.RANKING_WEIGHTS = JSON.stringify({ rating: 0, reviews: 1 });
+  assert.equal(scoreCandidates(candidates)[0].id, "busy");
+  process.env.RANKING_WEIGHTS = JSON.stringify({ rating: 1, reviews: 0 });
+  assert.equal(scoreCandidates(candidates)[0].id, "loved");
+
+  process.env.RANKING_WEIGHTS = "{not json";
+  t.mock.method(console, "warn", () => {});
+  assert.deepEqual(scoreCandidates(candidates), byDefault);
+});
+
+test("rankCandidates: strictly by score at temperature 0, spreading neighborhoods", () => {
+  const candidates = [
+    candidate("a", { rating: 5, neighborhood: "soho" }),
+    candidate("b", { rating: 4.9, neighborhood: "soho" }),
+    candidate("c", { rating: 4.5, neighborhood: "chelsea" }),
+    candidate("d", { rating: 3, neighborhood: "harlem" }),
+  ];
+  const picks = rankCandidates(candidates, 3, {}, { weights: { rating: 1 }, options: { temperature: 0 } });
+  // b would be second on score alone, but a already took SoHo
+  assert.deepEqual(picks.map((c) => c.id), ["a", "c", "b"]);
+  assert.equal(rankCandidates(candidates, 10, {}, { options: { temperature: 0 } }).length, 4);
+});
+
+test("rankCandidates: the injected random makes sampling reproducible", () => {
+  const candidates = ["a", "b", "c", "d", "e"].map((id, i) => candidate(id, { rating: 5 - i * 0.5 }));
+  const config = { weights: { rating: 1 }, options: { temperature: 0.1 } };
+
+  const first = rankCandidates(candidates, 3, {}, { ...config, random: sequence(0.9, 0.1, 0.5) });
+  const again = rankCandidates(candidates, 3, {}, { ...config, random: sequence(0.9, 0.1, 0.5) });
+  assert.deepEqual(first.map((c) => c.id), again.map((c) => c.id));
+
+  // random() near 0 always takes the best remaining candidate
+  const greedy = rankCandidates(candidates, 3, {}, { ...config, random: () => 0 });
+  assert.deepEqual(greedy.map((c) => c.id), ["a", "b", "c"]);
+  // near 1 reaches past it
+  const adventurous = rankCandidates(candidates, 1, {}, { ...config, random: () => 0.999 });
+  assert.notEqual(adventurous[0].id, "a");
+});